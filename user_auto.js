@@ -25,6 +25,7 @@ var lz = function (n) { return n < 10 ? '0' + n : n; };
 // Console File Logger
 var aConsoleLogger = (function () {
     var logFilePath = null;
+    var jsonLogFilePath = null;
     var isEnabled = false;
     var isInitializing = false;
     var isWriting = false;
@@ -34,6 +35,7 @@ var aConsoleLogger = (function () {
         try {
             // Use logs subdirectory for better organization
             logFilePath = air.File.applicationDirectory.resolvePath('auto/logs/console.log').nativePath;
+            jsonLogFilePath = air.File.applicationDirectory.resolvePath('auto/logs/console.jsonl').nativePath;
             isEnabled = true;
         } catch (e) {
             // Silent fail during initialization to avoid recursion
@@ -70,9 +72,69 @@ var aConsoleLogger = (function () {
         return formatted.join(' ');
     }
 
-    function rotateLogIfNeeded() {
+    function debugSetting(name) {
+        if (typeof aSettings !== 'undefined' &&
+            aSettings.defaults &&
+            aSettings.defaults.Debug) {
+            return aSettings.defaults.Debug[name];
+        }
+        return undefined;
+    }
+
+    function isError(arg) {
+        return arg !== null && typeof arg === 'object' &&
+            (arg instanceof Error || typeof arg.getStackTrace === 'function' || (arg.message !== undefined && arg.stack !== undefined));
+    }
+
+    // Fields of a JSON-lines entry: level, module, current action and adventure step, message and stack
+    function buildJsonEntry(type, args) {
+        var entry = {
+            ts: new Date().toISOString(),
+            level: type.toLowerCase(),
+            module: null,
+            action: null,
+            adventure: null,
+            step: null,
+            message: '',
+            stack: null
+        };
+        var parts = [];
+        for (var i = 0; i < args.length; i++) {
+            var arg = args[i];
+            if (isError(arg)) {
+                parts.push(String(arg.message || arg));
+                if (!entry.stack)
+                    entry.stack = typeof arg.getStackTrace === 'function' ? arg.getStackTrace() : (arg.stack || null);
+            } else {
+                parts.push(formatArgs([arg]));
+            }
+        }
+        entry.message = parts.join(' ');
+
+        // "[DEBUG category] ..." messages name their module
+        var category = /^\[DEBUG ([^\]]+)\]/.exec(entry.message);
+        try {
+            if (typeof aQueue !== 'undefined' && aQueue.executing) {
+                entry.action = aQueue.executing.fn;
+                entry.module = aQueue.executing.lane;
+            }
+            if (category) entry.module = category[1];
+            if (typeof aSession !== 'undefined' && aSession.adventure.name &&
+                (aSession.isOn.Adventure || entry.module === 'adventure')) {
+                var step = aSession.adventure.currentStep() || {};
+                entry.adventure = aSession.adventure.id || aSession.adventure.name;
+                entry.step = { index: aSession.adventure.index, name: step.name || null };
+            }
+        } catch (e) {
+            // Context is best effort only
+        }
+        entry.module = entry.module || 'script';
+        return entry;
+    }
+
+    function rotateLogIfNeeded(path) {
         try {
-            var file = new air.File(logFilePath);
+            var file = new air.File(path);
             if (!file.exists) return;
 
             // Get max size from settings (in KB), 0 means no rotation
@@ -100,22 +162,22 @@ var aConsoleLogger = (function () {
             }
 
             // Delete oldest log if we're at the limit
-            var oldestLog = new air.File(logFilePath + '.' + keepLogs);
+            var oldestLog = new air.File(path + '.' + keepLogs);
             if (oldestLog.exists) {
                 oldestLog.deleteFile();
             }
 
             // Shift existing rotated logs (console.log.2 -> console.log.3, etc.)
             for (var i = keepLogs - 1; i >= 1; i--) {
-                var sourceLog = new air.File(logFilePath + '.' + i);
+                var sourceLog = new air.File(path + '.' + i);
                 if (sourceLog.exists) {
-                    var targetLog = new air.File(logFilePath + '.' + (i + 1));
+                    var targetLog = new air.File(path + '.' + (i + 1));
                     sourceLog.moveTo(targetLog, true);
                 }
             }
 
             // Rename current log to .1
-            var rotatedLog = new air.File(logFilePath + '.1');
+            var rotatedLog = new air.File(path + '.1');
             file.moveTo(rotatedLog, true);
 
         } catch (e) {
@@ -123,51 +185,51 @@ var aConsoleLogger = (function () {
         }
     }
 
+    function appendLine(path, line) {
+        // Validate path (like aUtils.file.Write does)
+        if (typeof aUtils !== 'undefined' &&
+            aUtils.file &&
+            aUtils.file.validatePath &&
+            !aUtils.file.validatePath(path)) {
+            console.error('Logger: Write blocked - invalid path: ' + path);
+            return;
+        }
+
+        // Rotate log if needed before writing
+        rotateLogIfNeeded(path);
+
+        var file = new air.File(path);
+
+        // Create parent directory if it doesn't exist
+        var parent = file.parent;
+        if (parent && !parent.exists) {
+            parent.createDirectory();
+        }
+
+        // Always use APPEND mode
+        var fileStream = new air.FileStream();
+        fileStream.open(file, air.FileMode.APPEND);
+        fileStream.writeUTFBytes(line);
+        fileStream.close();
+    }
+
     function writeToFile(type, args) {
         // Prevent recursion during initialization or while already writing
         if (isInitializing) return;
         if (isWriting) return;
         if (!isEnabled) return;
 
-        // Check if file logging is enabled in settings
-        if (typeof aSettings !== 'undefined' &&
-            aSettings.defaults &&
-            aSettings.defaults.Debug &&
-            !aSettings.defaults.Debug.logToFile) {
-            return;
-        }
+        // Text log is on unless disabled in settings, the JSON-lines log is opt-in
+        var toText = debugSetting('logToFile') !== false;
+        var toJson = debugSetting('logJson') === true;
+        if (!toText && !toJson) return;
 
         isWriting = true;
         try {
-            // Validate path (like aUtils.file.Write does)
-            if (typeof aUtils !== 'undefined' &&
-                aUtils.file &&
-                aUtils.file.validatePath &&
-                !aUtils.file.validatePath(logFilePath)) {
-                console.error('Logger: Write blocked - invalid path: ' + logFilePath);
-                return;
-            }
-
-            // Rotate log if needed before writing
-            rotateLogIfNeeded();
-
-            var timestamp = formatTimestamp();
-            var message = formatArgs(args);
-            var logEntry = '[' + type + '] [' + timestamp + '] ' + message + '\n';
-
-            var file = new air.File(logFilePath);
-
-            // Create parent directory if it doesn't exist
-            var parent = file.parent;
-            if (parent && !parent.exists) {
-                parent.createDirectory();
-            }
-
-            // Always use APPEND mode
-            var fileStream = new air.FileStream();
-            fileStream.open(file, air.FileMode.APPEND);
-            fileStream.writeUTFBytes(logEntry);
-            fileStream.close();
+            if (toText)
+                appendLine(logFilePath, '[' + type + '] [' + formatTimestamp() + '] ' + formatArgs(args) + '\n');
+            if (toJson)
+                appendLine(jsonLogFilePath, JSON.stringify(buildJsonEntry(type, args)) + '\n');
         } catch (e) {
             // Log error to console, protected by isWriting flag to prevent recursion
             console.error('Logger: File write error: ' + e);
@@ -179,7 +241,8 @@ var aConsoleLogger = (function () {
     return {
         init: init,
         write: writeToFile,
-        getLogPath: function () { return logFilePath; }
+        getLogPath: function () { return logFilePath; },
+        getJsonLogPath: function () { return jsonLogFilePath; }
     };
 })();
 
@@ -187,30 +250,49 @@ var aConsoleLogger = (function () {
 
 // Debug Logging Helper
 const aDebug = {
+    /**
+     * Category registry: Debug settings key and label of the toggle in Misc settings
+     */
+    categories: {
+        adventure: { setting: 'logAdventures', label: 'adventure events' },
+        combat: { setting: 'logCombat', label: 'combat events' },
+        explorers: { setting: 'logExplorers', label: 'explorer events' },
+        geologists: { setting: 'logGeologists', label: 'geologists events' },
+        deposits: { setting: 'logDeposits', label: 'deposit events' },
+        buildings: { setting: 'logBuildings', label: 'building production' },
+        buffs: { setting: 'logBuffs', label: 'buff usage' },
+        quests: { setting: 'logQuests', label: 'quest events' },
+        mail: { setting: 'logMail', label: 'mail events' },
+        trade: { setting: 'logTrade', label: 'trades' },
+        queue: { setting: 'logQueue', label: 'queue execution' },
+        update: { setting: 'logUpdate', label: 'script updates' }
+    },
+    // Unknown categories already warned about
+    warned: {},
+
     /**
      * Determines whether a category can emit debug output. If aSettings is not yet
      * defined, valid categories default to true so early logs are not suppressed.
+     * Unknown categories are dropped with a one-time warning.
      * @param {string} category
      * @returns {boolean}
      */
     categoryDebugEnabled: function (category) {
-        const validCategories = ['adventure', 'combat', 'geologists', 'explorers'];
-        const isValid = validCategories.indexOf(category) !== -1;
-        if (!isValid) return false;
+        const entry = aDebug.categories[category];
+        if (!entry) {
+            if (!aDebug.warned[category]) {
+                aDebug.warned[category] = true;
+                console.warn('aDebug: unknown category "{0}", known: {1}'.format(category, Object.keys(aDebug.categories).join(', ')));
+            }
+            return false;
+        }
 
         if (typeof aSettings === 'undefined' ||
             !aSettings.defaults ||
             !aSettings.defaults.Debug) {
             return true;
         }
-
-        const flags = {
-            adventure: aSettings.defaults.Debug.logAdventures,
-            combat: aSettings.defaults.Debug.logCombat,
-            geologists: aSettings.defaults.Debug.logGeologists,
-            explorers: aSettings.defaults.Debug.logExplorers
-        };
-        return !!flags[category];
+        return !!aSettings.defaults.Debug[entry.setting];
     },
 
     isLoggingEnabled: function () {
@@ -255,18 +337,32 @@ const TIMEOUTS = {
     WATCHER_INTERVAL: 30000,
     WATCHER_TIMEOUT_THRESHOLD: 5000,
     EXCELSIOR_INTERVAL: 3000,
-    EXCELSIOR_TIMEOUT: 10000
+    EXCELSIOR_TIMEOUT: 10000,
+    SNAPSHOT_MAX_AGE: 600000,
+    LOG_VIEWER_REFRESH: 3000,
+    LEDGER_FLUSH_DELAY: 60000
 };
 
 const LIMITS = {
     MAX_QUEUE_INTERVAL: 10,
     DEFAULT_QUEUE_DELAY: 1500,
+    STATUS_QUEUE_DELAY: 500,
+    URGENT_QUEUE_DELAY: 1000,
     TRADE_OUTBOX_VALUE: 5000,
     TRADE_BUFF_MAX_DEFAULT: 1000,
     TRADE_BUFF_MAX_TWEAKED: 10000,
     TRADE_MAX_INPUT: 5000,
     CLIENT_PACKET_TIMEOUT_DEFAULT: 30000,
-    CLIENT_PACKET_TIMEOUT_INCREASED: 120000
+    CLIENT_PACKET_TIMEOUT_INCREASED: 120000,
+    MAX_RETRY_BACKOFF: 300000,
+    DRY_RUN_RECORDS: 200,
+    OUTBOUND_GLOBAL_RATE: 5,
+    OUTBOUND_GLOBAL_BURST: 10,
+    OUTBOUND_CODE_RATE: 2,
+    OUTBOUND_CODE_BURST: 5,
+    OUTBOUND_DEFERRED_WARN: 50,
+    LOG_VIEWER_LINES: 500,
+    LEDGER_FLUSH_RECORDS: 20
 };
 
 const SPECIALIST_TYPE = {
@@ -296,6 +392,18 @@ const aSession = {
         interval: null
     },
     zoneAction: null,
+    dryRun: false,
+    /**
+     * Switches an automation feature on or off
+     * @param {string} feature - aSession.isOn key
+     * @param {boolean} on
+     * @returns {void}
+     */
+    setFeature: function (feature, on) {
+        const changed = aSession.isOn[feature] !== on;
+        aSession.isOn[feature] = on;
+        if (changed) aBus.emit(aBus.EVENTS.FEATURE_TOGGLED, { feature: feature, on: on });
+    },
     mail: {
         monitor: new Date().getTime(),
         pendingTrades: {},
@@ -303,12 +411,14 @@ const aSession = {
         lootMails: game.def("mx.collections::ArrayCollection", !0)
     },
     adventure: {
+        id: null,
         name: null,
         lostArmy: {},
         index: 0,
         action: '',
         repeatCount: 0,
         lastTime: null,
+        startTime: null,
         starGeneralsStartTime: null,
         steps: [],
         getGenerals: function (current) {
@@ -367,17 +477,21 @@ const aSession = {
             } catch (e) { return {} }
         },
         nextStep: function () {
+            const step = this.currentStep();
             aSession.adventure.index++;
             if (aSession.adventure.index < aSession.adventure.steps.length)
                 delete this.currentStep().applied;
+            aBus.emit(aBus.EVENTS.STEP_ADVANCED, { step: step, index: aSession.adventure.index });
         },
         reset: function () {
             var repeat = aSession.adventure.repeatCount > 0 ? true : false;
             aSession.adventure.name = repeat ? aSession.adventure.name : null;
+            aSession.adventure.id = repeat ? aSession.adventure.id : null;
             aSession.adventure.index = 0;
             aSession.adventure.action = '';
             aSession.adventure.repeatCount = repeat ? aSession.adventure.repeatCount : 0;
             aSession.adventure.lastTime = null;
+            aSession.adventure.startTime = null;
             aSession.adventure.steps = repeat ? aSession.adventure.steps : [];
         }
     }
@@ -386,36 +500,143 @@ const aSession = {
 /**
  * Action Queue Manager
  *
- * Manages the execution queue for all automation actions. Actions are added to
- * the queue and executed sequentially with configurable delays between them.
- * The queue automatically restarts after completion and includes a watchdog
- * system to detect and recover from stuck operations.
+ * Manages the execution queue for all automation actions. Actions are grouped
+ * into lanes (one per feature plus status/urgent/system lanes). Each lane keeps
+ * its own list, position and delay; after every action the next entry is taken
+ * from the highest priority lane that still has pending work, so adventure
+ * steps or mail handling no longer wait behind a long quest/production batch.
+ * The queue automatically restarts after all lanes are drained and includes a
+ * watchdog system to detect and recover from stuck operations.
  *
  * @namespace aQueue
  */
 const aQueue = {
-    queue: [],
     waiting: [],
-    index: 0,
     delay: LIMITS.DEFAULT_QUEUE_DELAY,
     interval: LIMITS.MAX_QUEUE_INTERVAL,
     last: null,
     tID: null,
+    // Lane the currently running action/manager belongs to, new entries inherit it
+    context: null,
+    // Last executed entry and its lane, used by repeat() and the watchdog
+    current: null,
+    // Entry whose action function is running right now, see aQueue.responder
+    executing: null,
+    // Module currently adding entries, shown in the queue inspector
+    source: null,
+    paused: false,
+    seq: 0,
+
+    /**
+     * Queue lanes, lower priority value runs first
+     * delay is used before running an entry of the lane unless the entry has its own
+     */
+    lanes: {
+        status: { priority: 0, delay: LIMITS.STATUS_QUEUE_DELAY, queue: [], index: 0 },
+        urgent: { priority: 1, delay: LIMITS.URGENT_QUEUE_DELAY, queue: [], index: 0 },
+        adventure: { priority: 2, delay: LIMITS.URGENT_QUEUE_DELAY, queue: [], index: 0 },
+        mail: { priority: 3, delay: LIMITS.DEFAULT_QUEUE_DELAY, queue: [], index: 0 },
+        quests: { priority: 4, delay: LIMITS.DEFAULT_QUEUE_DELAY, queue: [], index: 0 },
+        explorers: { priority: 5, delay: LIMITS.DEFAULT_QUEUE_DELAY, queue: [], index: 0 },
+        deposits: { priority: 6, delay: LIMITS.DEFAULT_QUEUE_DELAY, queue: [], index: 0 },
+        collectibles: { priority: 7, delay: LIMITS.DEFAULT_QUEUE_DELAY, queue: [], index: 0 },
+        buildings: { priority: 8, delay: LIMITS.DEFAULT_QUEUE_DELAY, queue: [], index: 0 },
+        storage: { priority: 9, delay: LIMITS.DEFAULT_QUEUE_DELAY, queue: [], index: 0 },
+        lootables: { priority: 10, delay: LIMITS.DEFAULT_QUEUE_DELAY, queue: [], index: 0 },
+        system: { priority: 11, delay: LIMITS.DEFAULT_QUEUE_DELAY, queue: [], index: 0 }
+    },
+
+    /**
+     * Default lane of actions added outside of a manager or a running action
+     */
+    actionLanes: {
+        status: 'status',
+        mail: 'mail',
+        sendOfficeTrades: 'mail',
+        finishAdventureQuests: 'adventure',
+        loadGeneralUnits: 'adventure',
+        sendGeneralsToAdventure: 'adventure',
+        travelToZone: 'adventure',
+        retranchGeneral: 'adventure',
+        moveGeneral: 'adventure',
+        attackEnemy: 'adventure',
+        sendExplorer: 'explorers',
+        sendGeologist: 'deposits',
+        buildMine: 'deposits',
+        collect: 'collectibles',
+        completeQuest: 'quests',
+        payQuest: 'quests',
+        killMonster: 'quests',
+        friend: 'quests',
+        gatherResource: 'quests',
+        startProduction: 'buildings',
+        completeProduction: 'buildings',
+        upgradeBuilding: 'buildings',
+        removeBuilding: 'buildings',
+        turnOnProduction: 'buildings'
+    },
+
+    /**
+     * Feature managers called by run(), in order, each one adds to its own lane
+     * feature is the aSession.isOn/aSettings.defaults.Schedule key checked by aSchedule
+     */
+    managers: [
+        { lane: 'quests', module: 'aQuests', feature: 'Quests', run: function () { aQuests.manage(); } },
+        { lane: 'explorers', module: 'aSpecialists', feature: 'Explorers', run: function () { aSpecialists.manageExplorers(); } },
+        { lane: 'deposits', module: 'aBuildings.deposits', feature: 'Deposits', run: function () { aBuildings.deposits.manage(); } },
+        { lane: 'collectibles', module: 'aBuildings.collectibles', feature: 'CollectPickups', run: function () { aBuildings.collectibles.manage(); } },
+        { lane: 'buildings', module: 'aBuildings', feature: 'Buildings', run: function () { aBuildings.manage(); } },
+        { lane: 'storage', module: 'aResources', feature: 'FromStarToStore', run: function () { aResources.transferFromStarToStore(); } },
+        { lane: 'lootables', module: 'aBuffs', feature: 'OpenMysteryBoxs', run: function () { aBuffs.openLootables(); } },
+        { lane: 'mail', module: 'aMail', feature: 'Mail', run: function () { aMail.manage(); } },
+        { lane: 'adventure', module: 'aAdventure', feature: 'Adventure', run: function () { aAdventure.auto.start(); } },
+        { lane: 'system', module: 'aUtils.game', run: function () { aUtils.game.checkRAM(); } }
+    ],
+
+    /**
+     * Resolves the lane for a new entry
+     * Explicit lane > lane of the running manager/action > action default > system
+     * @param {string} name - The action name
+     * @param {string} [lane] - Requested lane
+     * @returns {string} Lane name
+     */
+    laneFor: function (name, lane) {
+        if (lane && aQueue.lanes[lane]) return lane;
+        if (aQueue.context && aQueue.lanes[aQueue.context]) return aQueue.context;
+        return aQueue.actionLanes[name] || 'system';
+    },
+
+    /**
+     * Creates a queue entry
+     * @param {string} name - The action name
+     * @param {Array} [params] - Parameters for the action
+     * @param {number} [delay] - Optional delay in milliseconds
+     * @param {string} [lane] - Optional lane name
+     * @returns {Object} Queue entry
+     */
+    entry: function (name, params, delay, lane) {
+        return {
+            id: ++aQueue.seq,
+            fn: name,
+            params: params || null,
+            delay: delay || null,
+            lane: aQueue.laneFor(name, lane),
+            source: aQueue.source || 'event'
+        }
+    },
 
     /**
-     * Adds an action to the end of the execution queue
+     * Adds an action to the end of its lane
      * @param {string} name - The action name (must exist in aQueue.actions)
      * @param {Array} [params] - Parameters to pass to the action function
      * @param {number} [delay] - Optional delay in milliseconds before this action executes
+     * @param {string} [lane] - Optional lane name, see aQueue.laneFor
      * @returns {void}
      */
-    add: function (name, params, delay) {
-        const obj = {
-            fn: name,
-            params: params || null,
-            delay: delay || null
-        }
-        aQueue.queue.push(obj);
+    add: function (name, params, delay, lane) {
+        const obj = aQueue.entry(name, params, delay, lane);
+        if (aSnapshot.isRestored(obj)) return;
+        aQueue.lanes[obj.lane].queue.push(obj);
     },
 
     /**
@@ -423,28 +644,28 @@ const aQueue = {
      * @param {string} name - The action name
      * @param {Array} [params] - Parameters for the action
      * @param {number} [delay] - Optional delay in milliseconds
+     * @param {string} [lane] - Optional lane name
      * @returns {void}
      */
-    addToWaiting: function (name, params, delay) {
-        const obj = {
-            fn: name,
-            params: params || null,
-            delay: delay || null
-        }
-        aQueue.waiting.push(obj);
+    addToWaiting: function (name, params, delay, lane) {
+        aQueue.waiting.push(aQueue.entry(name, params, delay, lane));
     },
 
     /**
-     * Inserts an action immediately after the current position in the queue
+     * Inserts an action at the head of a lane (urgent lane by default) and
+     * schedules the queue so it runs right away
      * @param {string} name - The action name
      * @param {Array} [params] - Parameters for the action
      * @param {number} [delay] - Optional delay in milliseconds
+     * @param {string} [lane] - Optional lane name
      * @returns {void}
      */
-    addNext: function (name, params, delay) {
+    addNext: function (name, params, delay, lane) {
+        const obj = aQueue.entry(name, params, null, lane || 'urgent');
+        const target = aQueue.lanes[obj.lane];
         aQueue.clearIDs();
-        aQueue.queue.splice(aQueue.index + 1, 0, { fn: name, params: params || null });
-        game.auto.aQueueIDs.push(setTimeout(function () { aQueue.next() }, delay || aQueue.delay));
+        target.queue.splice(target.index, 0, obj);
+        game.auto.aQueueIDs.push(setTimeout(function () { aQueue.next() }, delay || target.delay));
     },
 
     /**
@@ -452,41 +673,71 @@ const aQueue = {
      * @returns {void}
      */
     reset: function () {
-        aQueue.index = 0;
-        aQueue.queue = [];
+        $.each(aQueue.lanes, function (name, lane) {
+            lane.index = 0;
+            lane.queue = [];
+        });
+        aQueue.current = null;
     },
 
     /**
-     * Merges waiting queue into the main queue
+     * Merges waiting queue into the lanes
      * @returns {void}
      */
     addWaiting: function () {
-        aQueue.queue = aQueue.queue.concat(aQueue.waiting);
+        aQueue.waiting.forEach(function (obj) {
+            aQueue.lanes[aQueue.lanes[obj.lane] ? obj.lane : 'system'].queue.push(obj);
+        });
         aQueue.waiting = [];
     },
 
     /**
-     * Starts a new queue cycle, populating it with all automation tasks
-     * This is the main entry point for the automation system. It checks
-     * all enabled features and adds appropriate actions to the queue.
+     * Finds the highest priority lane with pending entries
+     * @returns {string|null} Lane name or null when all lanes are drained
+     */
+    pick: function () {
+        var picked = null;
+        $.each(aQueue.lanes, function (name, lane) {
+            if (lane.index >= lane.queue.length) return;
+            if (!picked || lane.priority < aQueue.lanes[picked].priority)
+                picked = name;
+        });
+        return picked;
+    },
+
+    /**
+     * Counts entries that have not been executed yet
+     * @returns {number} Pending entries in all lanes
+     */
+    pending: function () {
+        var count = 0;
+        $.each(aQueue.lanes, function (name, lane) {
+            count += Math.max(0, lane.queue.length - lane.index);
+        });
+        return count;
+    },
+
+    /**
+     * Starts a new queue cycle, populating the lanes with all automation tasks
+     * This is the main entry point for the automation system. It calls every
+     * feature manager with its lane as context so their actions land there.
      * @returns {void}
      */
     run: function () {
         aQueue.clearIDs();
         aQueue.reset();
-        aQueue.add('status', ['Looking for something to do ^_^']);
+        aQueue.add('status', ['Looking for something to do ^_^'], null, 'status');
         aQueue.addWaiting();
-        aQuests.manage();
-        aSpecialists.manageExplorers();
-        aBuildings.deposits.manage();
-        aBuildings.collectibles.manage();
-        aBuildings.manage();
-        aResources.transferFromStarToStore();
-        aBuffs.openLootables();
-        aMail.manage();
-        aAdventure.auto.start();
-        aUtils.game.checkRAM();
-        aQueue.add('status', ['']);
+        aQueue.managers.forEach(function (manager) {
+            if (manager.feature && aSession.isOn[manager.feature] && !aSchedule.isActive(manager.feature)) return;
+            aQueue.context = manager.lane;
+            aQueue.source = manager.module;
+            try { manager.run(); } catch (e) { console.error(e) }
+        });
+        aSnapshot.restored = {};
+        aQueue.context = null;
+        aQueue.source = null;
+        aQueue.add('status', [''], null, 'system');
         aQueue.next();
     },
     clearIDs: function () {
@@ -504,6 +755,8 @@ const aQueue = {
      * @returns {void}
      */
     restart: function () {
+        aQueue.last = new Date().getTime();
+        if (aQueue.paused) return;
         if (aQueue.interval <= 0) {
             aQueue.interval = LIMITS.MAX_QUEUE_INTERVAL;
             aQueue.run();
@@ -528,24 +781,187 @@ const aQueue = {
     },
 
     /**
-     * Executes the next action in the queue
-     * Automatically advances the queue index and schedules the following action
+     * Executes the next action from the highest priority lane
+     * Advances that lane and schedules the following action using the delay
+     * of the lane it will be taken from
      * @returns {void}
      */
     next: function () {
-        const current = aQueue.queue[aQueue.index];
         aQueue.last = new Date().getTime();
-        if (!current) { return aQueue.restart(); }
-        try { aQueue.actions[current.fn](current.params); } catch (e) { console.error(e) }
-        //aQueue.queue[aQueue.index] = null;
-        const next = aQueue.queue[++aQueue.index];
-        if (!next) { return aQueue.restart(); }
-        game.auto.aQueueIDs.push(setTimeout(function () { aQueue.next(); }, next.delay || aQueue.delay));
-    },
-    repeat: function (delay) {
+        if (aQueue.paused) return;
+        const laneName = aQueue.pick();
+        if (!laneName) { return aQueue.restart(); }
+        const lane = aQueue.lanes[laneName];
+        aQueue.execute(lane.queue[lane.index++], laneName);
+        const nextLane = aQueue.pick();
+        if (!nextLane) { return aQueue.restart(); }
+        const next = aQueue.lanes[nextLane].queue[aQueue.lanes[nextLane].index];
+        game.auto.aQueueIDs.push(setTimeout(function () { aQueue.next(); }, next.delay || aQueue.lanes[nextLane].delay));
+    },
+
+    /**
+     * Runs a single entry and records its result
+     * @param {Object} current - Queue entry
+     * @param {string} laneName - Lane the entry belongs to
+     * @returns {void}
+     */
+    execute: function (current, laneName) {
+        aQueue.current = { entry: current, lane: laneName };
+        aQueue.context = laneName;
+        aQueue.source = 'aQueue.actions.' + current.fn;
+        aQueue.executing = current;
+        current.status = null;
+        aDebug.log('queue', 'Executing', current.fn, 'on lane', laneName, current.attempts ? '(attempt ' + (current.attempts + 1) + ')' : '');
+        var result, error = null;
+        try { result = aQueue.actions[current.fn](current.params); } catch (e) { console.error(e); result = false; error = e; }
+        aQueue.executing = null;
+        aQueue.context = null;
+        aQueue.source = null;
+        if (result === false)
+            aQueue.report(current, 'failure', error);
+        else if (current.status !== 'pending')
+            aQueue.report(current, 'success');
+    },
+
+    /**
+     * Finds a pending entry by id in the lanes or the waiting list
+     * @param {number} id - Entry id
+     * @returns {Object|null} { list, index, min } where min is the first movable position
+     */
+    find: function (id) {
+        var found = null;
+        $.each(aQueue.lanes, function (name, lane) {
+            for (var i = lane.index; i < lane.queue.length; i++) {
+                if (lane.queue[i].id === id) {
+                    found = { list: lane.queue, index: i, min: lane.index };
+                    return false;
+                }
+            }
+        });
+        if (found) return found;
+        for (var i = 0; i < aQueue.waiting.length; i++) {
+            if (aQueue.waiting[i].id === id) return { list: aQueue.waiting, index: i, min: 0 };
+        }
+        return null;
+    },
+
+    /**
+     * Removes a pending entry
+     * @param {number} id - Entry id
+     * @returns {boolean} True if removed
+     */
+    cancel: function (id) {
+        const found = aQueue.find(id);
+        if (!found) return false;
+        found.list.splice(found.index, 1);
+        return true;
+    },
+
+    /**
+     * Moves a pending entry up or down inside its lane (or the waiting list)
+     * @param {number} id - Entry id
+     * @param {number} step - -1 to move up, 1 to move down
+     * @returns {boolean} True if moved
+     */
+    move: function (id, step) {
+        const found = aQueue.find(id);
+        if (!found) return false;
+        const to = found.index + step;
+        if (to < found.min || to >= found.list.length) return false;
+        const entry = found.list[found.index];
+        found.list[found.index] = found.list[to];
+        found.list[to] = entry;
+        return true;
+    },
+
+    /**
+     * Takes a pending entry out of the queue and runs it right away
+     * @param {number} id - Entry id
+     * @returns {boolean} True if executed
+     */
+    runNow: function (id) {
+        const found = aQueue.find(id);
+        if (!found) return false;
+        const entry = found.list.splice(found.index, 1)[0];
+        aQueue.execute(entry, aQueue.lanes[entry.lane] ? entry.lane : 'system');
+        return true;
+    },
+
+    /**
+     * Pauses or resumes the queue without touching the feature switches
+     * @param {boolean} paused - True to pause
+     * @returns {void}
+     */
+    pause: function (paused) {
+        aQueue.paused = paused;
+        aQueue.clearIDs();
+        if (paused) return aUI.updateStatus('Paused', 'Auto');
+        aUI.updateStatus('', 'Auto');
+        aQueue.next();
+    },
+
+    /**
+     * Builds a server responder that reports the outcome of the running action
+     * Outside of an action it behaves like game.createResponder
+     * @param {Function} [success] - Called with (event, data) on success
+     * @param {Function} [fail] - Called with (event, data) on failure
+     * @returns {Object} Responder
+     */
+    responder: function (success, fail) {
+        const entry = aQueue.executing;
+        if (entry) {
+            entry.pending = (entry.pending || 0) + 1;
+            entry.status = 'pending';
+        }
+        return game.createResponder(function (e, d) {
+            if (entry && entry.status === 'pending' && --entry.pending <= 0)
+                aQueue.report(entry, 'success');
+            if (success) success(e, d);
+        }, function (e, d) {
+            if (entry) aQueue.report(entry, 'failure', e);
+            if (fail) fail(e, d);
+        });
+    },
+
+    /**
+     * Records the result of an action, failed actions are re-queued to the
+     * waiting list after an exponential backoff until Auto.RetryAttempts is reached.
+     * The backoff runs on its own timer so the lanes keep running meanwhile.
+     * @param {Object} entry - Queue entry
+     * @param {string} status - 'success', 'failure' or 'pending'
+     * @param {*} [error] - Error or server fault
+     * @returns {void}
+     */
+    report: function (entry, status, error) {
+        if (entry.status === 'failure') return;
+        entry.status = status;
+        if (status !== 'failure') return;
+
+        const attempts = entry.attempts || 1;
+        const maxAttempts = aSettings.defaults.Auto.RetryAttempts;
+        const reason = error ? ': ' + (error.message || error.toString()) : '';
+        if (!aQueue.policyFor(entry.fn).retry || attempts >= maxAttempts) {
+            return console.error('Action "{0}" failed after {1} attempt(s){2}'.format(entry.fn, attempts, reason));
+        }
+        const backoff = Math.min(aSettings.defaults.Auto.RetryBackoff * 1000 * Math.pow(2, attempts - 1), LIMITS.MAX_RETRY_BACKOFF);
+        console.warn('Action "{0}" failed (attempt {1}/{2}){3}, retrying in {4}s'.format(entry.fn, attempts, maxAttempts, reason, backoff / 1000));
+        const retry = aQueue.entry(entry.fn, entry.params, null, entry.lane);
+        retry.source = entry.source;
+        retry.attempts = attempts + 1;
+        setTimeout(function () { aQueue.waiting.push(retry); }, backoff);
+    },
+
+    /**
+     * Runs the last executed entry of a lane again
+     * @param {number} [delay] - Delay in milliseconds before repeating
+     * @param {string} [lane] - Lane to repeat, defaults to the lane of the last action
+     * @returns {void}
+     */
+    repeat: function (delay, lane) {
+        const target = aQueue.lanes[lane || (aQueue.current && aQueue.current.lane)];
         aQueue.clearIDs();
-        aQueue.index--;
-        setTimeout(function () { aQueue.next() }, delay || aQueue.delay);
+        if (target && target.index > 0) target.index--;
+        game.auto.aQueueIDs.push(setTimeout(function () { aQueue.next() }, delay || (target ? target.delay : aQueue.delay)));
     },
     actions: {
         status: function (args) {
@@ -553,12 +969,16 @@ const aQueue = {
         },
         sendExplorer: function (args) {
             aUI.updateStatus("Sending explorers ({0}/{1})".format(args[2], args[3]), 'Explorers');
-            aUtils.game.sendSpecialistPacket(aUtils.game.uID(args[0]), args[1][0], args[1][1]);
+            const sent = aUtils.game.sendSpecialistPacket(aUtils.game.uID(args[0]), args[1][0], args[1][1]);
+            if (sent) aLedger.record('explorer', { task: args[1][0], subtask: args[1][1] });
+            return sent;
         },
         sendGeologist: function (args) {
             aUI.updateStatus('Sending geologists to search for {0} deposit ({1}/{2})'.format(
                 loca.GetText("RES", args[2]), args[3], args[4]), 'Geologists');
-            aUtils.game.sendSpecialistPacket(aUtils.game.uID(args[0]), 0, args[1]);
+            const sent = aUtils.game.sendSpecialistPacket(aUtils.game.uID(args[0]), 0, args[1]);
+            if (sent) aLedger.record('geologist', { resource: args[2] });
+            return sent;
         },
         collect: function (args) {
             const building = game.zone.GetBuildingFromGridPosition(args[0]);
@@ -577,7 +997,10 @@ const aQueue = {
             const quest = game.quests.getQuest(name);
             if (quest.isFinished()) {
                 aUI.updateStatus('Completing "{0}" quest!!'.format(loca.GetText('QUL', quest.getQuestName_string())), 'Quests');
-                game.quests.RewardOkButtonPressedFromGui(quest);
+                const sent = aNet.invoke('RewardOkButtonPressedFromGui', function () {
+                    game.quests.RewardOkButtonPressedFromGui(quest);
+                });
+                if (sent) aBus.emit(aBus.EVENTS.QUEST_FINISHED, { name: name, how: 'reward' });
             }
             if (aAdventure.info.isOnAdventure()
                 && aSession.adventure.name
@@ -590,23 +1013,23 @@ const aQueue = {
             aBuildings.production.order(args[0], args[1] || 1, args[2] === false ? false : true, args[3], args[4]);
         },
         completeProduction: function (args) {
-            game.gi.mClientMessages.SendMessagetoServer(141, game.gi.mCurrentViewedZoneID, args[0]);
-            aUI.updateStatus("{0} produced successfully.".format(args[1]));
+            const result = aNet.sendMessage(141, game.gi.mCurrentViewedZoneID, args[0], aQueue.responder());
+            if (result)
+                aUI.updateStatus("{0} {1}.".format(args[1], result === aNet.QUEUED ? 'queued for collection' : 'produced successfully'));
         },
         killMonster: function (args) {
-            game.gi.SendServerAction(165, 0, args[0], 0, null);
+            aNet.sendServerAction(165, 0, args[0], 0, null, aQueue.responder());
             aUI.updateStatus("Destroying {0}!".format(loca.GetText('BUI', args[1])), 'Quests');
         },
         gatherResource: function (args) {
             switch (args[0]) {
                 case 'send':
-                    aTrade.send(args[1]);
-                    break;
+                    return aTrade.send(args[1]);
                 case 'checkOutbox':
                     aUI.updateStatus('Checking Trades in OutBox', 'Quests');
                     var v = game.def("Communication.VO::dIntegerVO", !0);
                     v.value = LIMITS.TRADE_OUTBOX_VALUE;
-                    game.gi.mClientMessages.SendMessagetoServer(
+                    aNet.sendMessage(
                         1176, game.gi.mCurrentViewedZoneID, v,
                         aUtils.responders.checkOutbox(args[1])
                     );
@@ -623,6 +1046,7 @@ const aQueue = {
             if (args.what === 'ADVENTURE') {
                 status = 'Starting "{0}" Adventure'.format(loca.GetText('ADN', aSession.adventure.name));
                 args.type = ['Adventure', aSession.adventure.name];
+                aSession.adventure.startTime = new Date().getTime();
             } else if (args.what === 'ADVENTURE_BUFF') {
                 status = 'Applying "{0}"'.format(
                     loca.GetText('RES', args.type)
@@ -634,7 +1058,7 @@ const aQueue = {
                 );
             } else if (args.what === 'BOX') {
                 status = 'Opening "{0}" Mystery Box'.format(loca.GetText('RES', args.type));
-                responder = aUtils.responders.openBox();
+                responder = aUtils.responders.openBox(args.type);
             } else if (args.what === 'BUILDING') {
                 status = 'Applying "{0}" on "{1}"!'.format(
                     loca.GetText('RES', args.type),
@@ -651,13 +1075,13 @@ const aQueue = {
                 status = 'Transfering x{0} {1} from Star to Store!'.format(args.amount, loca.GetText('RES', args.type[1]));
             }
             aUI.updateStatus(status, 'Buffs');
-            aBuffs.applyBuff(args.type, args.grid === 0 ? args.grid : (args.grid || 8825), args.amount || 0, responder);
+            return aBuffs.applyBuff(args.type, args.grid === 0 ? args.grid : (args.grid || 8825), args.amount || 0, responder);
         },
         friend: function (args) {
             switch (args[0]) {
                 case "visit":
                     aSession.zoneAction = 'ApplyBuffOnFriend';
-                    game.gi.visitZone(args[1]);
+                    aNet.visitZone(args[1]);
                     aUI.updateStatus("Visiting {0}'s island".format(args[2]), 'Quests');
                     break;
                 case 'apply':
@@ -675,7 +1099,7 @@ const aQueue = {
                     break;
                 case 'return':
                     aUI.updateStatus('Returning to Home Island', 'Quests');
-                    game.gi.visitZone(game.gi.mCurrentPlayer.GetHomeZoneId());
+                    aNet.visitZone(game.gi.mCurrentPlayer.GetHomeZoneId());
                     break;
                 case 'home':
                     aUI.updateStatus("Back at Home Island", 'Quests');
@@ -684,26 +1108,36 @@ const aQueue = {
         },
         buildMine: function (params) {
             aUI.updateStatus("Building Mine on {0}".format(loca.GetText("RES", params[2])), 'Deposits');
-            game.gi.SendServerAction(50, params[0], params[1], 0, null);
+            aNet.sendServerAction(50, params[0], params[1], 0, null, aQueue.responder());
         },
         upgradeBuilding: function (params) {
             aUI.updateStatus("Upgrading {0} To Level {1}".format(loca.GetText("BUI", params[1]), params[2]), 'Buildings');
-            game.zone.UpgradeBuildingOnGridPosition(params[0]);
+            aNet.invoke('UpgradeBuilding', function () {
+                game.zone.UpgradeBuildingOnGridPosition(params[0]);
+            });
         },
         removeBuilding: function (args) {
             aUI.updateStatus('Removing {0} {1}!!'.format(loca.GetText('BUI', args.name), args.num), 'Buildings');
-            game.zone.SendDestructBuildingCommand(game.zone.GetBuildingFromGridPosition(args.grid), "minimalInfoPanel");
+            aNet.invoke('DestructBuilding', function () {
+                game.zone.SendDestructBuildingCommand(game.zone.GetBuildingFromGridPosition(args.grid), "minimalInfoPanel");
+            });
         },
         turnOnProduction: function (grid) {
-            game.zone.GetBuildingFromGridPosition(grid).SetProductionActiveCommand(1);
+            aNet.invoke('SetProductionActiveCommand', function () {
+                game.zone.GetBuildingFromGridPosition(grid).SetProductionActiveCommand(1);
+            });
         },
         payQuest: function (name) {
             var quest = game.quests.getQuest(name);
             globalFlash.gui.mQuestBook.SetPreselectedQuest(quest);
             globalFlash.gui.mQuestBook.Show();
             globalFlash.gui.mQuestBook.Hide();
-            game.quests.InitiatePayForQuestFinish(quest.GetUniqueId());
+            aDebug.log('quests', 'Paying to finish', name);
+            const sent = aNet.invoke('InitiatePayForQuestFinish', function () {
+                game.quests.InitiatePayForQuestFinish(quest.GetUniqueId());
+            });
             aUI.updateStatus('Paying for "{0}" quest!!'.format(loca.GetText('QUL', name)), 'Quests');
+            if (sent) aBus.emit(aBus.EVENTS.QUEST_FINISHED, { name: name, how: 'pay' });
         },
         mail: function (args) {
             switch (args[0]) {
@@ -734,18 +1168,16 @@ const aQueue = {
                     }
                     break;
                 case 'completeTrade':
-                    aTrade.complete(args[1], args[2]);
-                    break;
+                    return aTrade.complete(args[1], args[2]);
                 case 'getBody':
-                    aMail.getMailBody(args[1], args[2]);
-                    break;
+                    return aMail.getMailBody(args[1], args[2]);
                 case 'acceptLoot':
                     aMail.acceptLootMails();
                     break;
             }
         },
         sendOfficeTrades: function () {
-            game.gi.mClientMessages.SendMessagetoServer(1062, game.gi.mCurrentViewedZoneID, null, aUtils.responders.sendOfficeTrades());
+            aNet.sendMessage(1062, game.gi.mCurrentViewedZoneID, null, aUtils.responders.sendOfficeTrades());
         },
         finishAdventureQuests: function () {
             try {
@@ -758,26 +1190,29 @@ const aQueue = {
                     var Responder = quest.GetQuestDefinition().specialType_string.indexOf('lastQuest') > -1 ?
                         game.createResponder(function () {
                             AdventureManager.removeAdventure(aAdventure.info.getActiveAdvetureID());
-                            aSession.isOn.Adventure = false;
+                            aSession.setFeature('Adventure', false);
                             aSession.adventure.action = "FinishAdventure";
                             aSession.adventure.lastTime = new Date().getTime();
-                            game.gi.visitZone(game.gi.mCurrentPlayer.GetHomeZoneId());
+                            aNet.visitZone(game.gi.mCurrentPlayer.GetHomeZoneId());
                         }) : null;
-                    game.gi.mClientMessages.SendMessagetoServer(100, game.gi.mCurrentViewedZoneID, dSA, Responder);
+                    aNet.sendMessage(100, game.gi.mCurrentViewedZoneID, dSA, Responder);
                     aUI.playSound('QuestComplete');
+                    aBus.emit(aBus.EVENTS.QUEST_FINISHED, { name: quest.getQuestName_string(), how: 'adventure' });
                 });
             } catch (er) { }
         },
         loadGeneralUnits: function (args) {
             aUI.playSound('UnitProduced');
-            game.gi.mClientMessages.SendMessagetoServer(1031, game.gi.mCurrentViewedZoneID, args.army);
+            aNet.sendMessage(1031, game.gi.mCurrentViewedZoneID, args.army, aQueue.responder());
             aUI.updateStatus(args.message);
         },
         sendGeneralsToAdventure: function (args) {
-            armyServices.specialist.sendToZone(
-                armyGetSpecialistFromID(args.id),
-                aAdventure.info.getActiveAdvetureID()
-            );
+            aNet.invoke('SendToZone', function () {
+                armyServices.specialist.sendToZone(
+                    armyGetSpecialistFromID(args.id),
+                    aAdventure.info.getActiveAdvetureID()
+                );
+            });
             aUI.updateStatus(
                 'Sending generals to "{0}" ({1}/{2})'.format(
                     loca.GetText('ADN', aSession.adventure.name),
@@ -791,13 +1226,13 @@ const aQueue = {
                 "Adventure": aAdventure.info.getActiveAdvetureID(),
                 "Home": game.gi.mCurrentPlayer.GetHomeZoneId()
             }
-            game.gi.visitZone(to[destination]);
+            aNet.visitZone(to[destination]);
             aUI.updateStatus("Travelling to {0} island!".format(destination), 'Adventure');
         },
         retranchGeneral: function (args) {
-            const spec = armyGetSpecialistFromID(args.id);
-            armySendGeneralToStar(spec);
-            aUI.updateStatus("{0} Sending generals to Star {1}!!".format(args.file || "", args.order || ""), "Adventure");
+            const result = aAdventure.action.sendToStar(armyGetSpecialistFromID(args.id));
+            if (!result) return;
+            aUI.updateStatus("{0} {2} generals to Star {1}!!".format(args.file || "", args.order || "", result === aNet.QUEUED ? 'Queued sending' : 'Sending'), "Adventure");
         },
         moveGeneral: function (args) {
             aAdventure.action.sendGeneralAction(args.id, 4, args.order || "");
@@ -808,925 +1243,3335 @@ const aQueue = {
             aUI.updateStatus("{0} Attacking enemy camps {1}!!".format(args.file || "", args.order || ""), "Adventure");
         }
     },
+    /**
+     * Expected completion time (ms) and watchdog recovery policy per action
+     * recover: 'retry' runs the action again (up to maxRetries, then skips),
+     * 'skip' moves on to the next entry, 'restartCycle' rebuilds the queue and
+     * 'travelHome' returns to the home island before moving on
+     * retry: re-queue the action when it reports a failure (see aQueue.report)
+     */
+    policies: {
+        default: { timeout: 10000, recover: 'skip', retry: true },
+        status: { timeout: 5000, recover: 'skip', retry: false },
+        friend: { timeout: 180000, recover: 'travelHome', retry: false },
+        travelToZone: { timeout: 240000, recover: 'retry' },
+        sendGeneralsToAdventure: { timeout: 60000, recover: 'skip' },
+        finishAdventureQuests: { timeout: 60000, recover: 'retry', retry: false },
+        gatherResource: { timeout: 60000, recover: 'retry' },
+        mail: { timeout: 60000, recover: 'skip' },
+        sendOfficeTrades: { timeout: 60000, recover: 'skip' },
+        startProduction: { timeout: 30000, recover: 'skip' },
+        loadGeneralUnits: { timeout: 30000, recover: 'retry' },
+        retranchGeneral: { timeout: 30000, recover: 'restartCycle' },
+        moveGeneral: { timeout: 30000, recover: 'restartCycle' },
+        attackEnemy: { timeout: 30000, recover: 'restartCycle' }
+    },
+    maxRetries: 2,
+
+    /**
+     * Returns the watchdog policy of an action
+     * @param {string} name - The action name
+     * @returns {Object} { timeout, recover }
+     */
+    policyFor: function (name) {
+        return $.extend({}, aQueue.policies.default, aQueue.policies[name] || {});
+    },
+
+    /**
+     * Applies a recovery policy to a stuck entry and logs the intervention
+     * @param {Object} entry - The entry that did not complete in time
+     * @param {string} laneName - Lane of the entry
+     * @param {string} recover - Recovery policy
+     * @returns {void}
+     */
+    recover: function (entry, laneName, recover) {
+        if (recover === 'retry') {
+            entry.retries = (entry.retries || 0) + 1;
+            if (entry.retries > aQueue.maxRetries) recover = 'skip';
+        }
+        console.warn('Watchdog: "{0}" ({1} lane) did not complete in time, recovering with {2}{3}'.format(
+            entry.fn, laneName, recover, recover === 'retry' ? ' #' + entry.retries : ''));
+        aUI.updateStatus('Watchdog: recovering from stuck "{0}"'.format(entry.fn), 'Auto');
+        aQueue.clearIDs();
+        switch (recover) {
+            case 'retry':
+                return aQueue.repeat(null, laneName);
+            case 'restartCycle':
+                return aQueue.run();
+            case 'travelHome':
+                aSession.zoneAction = null;
+                if (!game.gi.isOnHomzone())
+                    return aQueue.addNext('travelToZone', 'Home');
+                return aQueue.next();
+            default:
+                return aQueue.next();
+        }
+    },
+
+    /**
+     * Watchdog, detects a queue that stopped advancing and recovers it using
+     * the policy of the last executed action (restarted on every call)
+     * @returns {void}
+     */
     watcher: function () {
-        if (game.aWatcherID) return;
+        if (game.aWatcherID) clearInterval(game.aWatcherID);
+        game.aWatcherID = null;
+        if (!aSettings.defaults.Auto.Watchdog) return;
         game.aWatcherID = setInterval(function () {
             try {
-                if (!aQueue.queue.length || !aQueue.last) return;
-                const next = aQueue.queue[aQueue.index + 1];
-                const delay = next ? next.delay : aQueue.interval;
-                if (new Date().getTime() > aQueue.last + delay + TIMEOUTS.WATCHER_TIMEOUT_THRESHOLD) {
-                    aUI.Alert('Error Occurred! Restarting Automation!', 'ERROR');
-                    aQueue.run();
+                if (!aQueue.last || aQueue.paused) return;
+                const now = new Date().getTime();
+                if (!aQueue.pending()) {
+                    // Idle countdown refreshes aQueue.last every second
+                    if (now > aQueue.last + TIMEOUTS.QUEUE_RESTART_DELAY + TIMEOUTS.WATCHER_TIMEOUT_THRESHOLD) {
+                        console.warn('Watchdog: idle countdown stopped, recovering with restartCycle');
+                        aQueue.run();
+                    }
+                    return;
                 }
-            } catch (e) { }
+                const lane = aQueue.lanes[aQueue.pick()];
+                const next = lane.queue[lane.index];
+                const delay = next.delay || lane.delay;
+                const running = aQueue.current;
+                const policy = aQueue.policyFor(running ? running.entry.fn : null);
+                if (now > aQueue.last + policy.timeout + delay + TIMEOUTS.WATCHER_TIMEOUT_THRESHOLD) {
+                    if (!running)
+                        return console.warn('Watchdog: queue stalled, recovering with restartCycle'), aQueue.run();
+                    aQueue.recover(running.entry, running.lane, policy.recover);
+                }
+            } catch (e) { console.error('Watchdog error:', e) }
         }, TIMEOUTS.WATCHER_INTERVAL);
     }
 }
 
 /**
- * Settings Manager
+ * Queue & Session Snapshot
  *
- * Manages application configuration and user preferences. Handles loading,
- * saving, and merging settings with defaults. Settings are persisted to
- * disk as JSON files.
+ * Serializes the pending queue entries and the resumable parts of aSession to
+ * disk before the client is restarted or the script reloaded, so a RAM restart
+ * in the middle of an adventure picks up where it stopped.
  *
- * @namespace aSettings
+ * @namespace aSnapshot
  */
-const aSettings = {
-    defaults: {
-        Auto: {
-            AutoUpdate: true,
-            CreateBackup: true,
-            KeepBackups: 3,
-            RestartRAM: 0,
-            increaseTimeout: false,
-            showGrid: false,
-        },
-        Debug: {
-            enableLogging: true,
-            logAdventures: true,
-            logCombat: true,
-            logGeologists: false,
-            logExplorers: false,
-            logToFile: true,
-            maxLogFileSize: 5000,
-            keepRotatedLogs: 3,
-        },
-        Security: {
-            validateFilePaths: false,
-        },
-        Explorers: {
-            autoStart: false,
-            template: "",
-            useTemplate: false,
-            eventOptimize: false
-        },
-        Adventures: {
-            speedBuff: "GeneralSpeedBuff_Bronze",
-            blackVortex: false,
-            templates: [],
-            lastAdv: {},
-            reTrain: false
-        },
-        Deposits: {
-            autoStart: false,
-            data: {
-                Stone: { max: 8, geos: [], options: [true, null, null, null, true] },
-                BronzeOre: { max: 6, geos: [], mine: 36, options: [true, true, true, 3, true] },
-                Marble: { max: 10, geos: [], options: [true, null, null, null, true] },
-                IronOre: { max: 19, geos: [], mine: 50, options: [true, true, true, 3, true] },
-                GoldOre: { max: 9, geos: [], mine: 46, options: [true, true, true, 3, true] },
-                Coal: { max: 6, geos: [], mine: 37, options: [true, true, true, 3, true] },
-                Granite: { max: 6, geos: [], options: [true, null, null, null, true] },
-                TitaniumOre: { max: 4, geos: [], mine: 69, options: [true, true, true, 3, true] },
-                Salpeter: { max: 4, geos: [], mine: 63, options: [true, true, true, 3, true] }
-            }
-        },
-        Quests: {
-            Letters: {
-                SharpClaw: true,
-                StrangeIdols: true,
-                Annoholics: true,
-                SilkCat: true,
-                Miranda: true,
-                BartTheBarter: true,
-                Vigilante: true,
-                SettlersBandits: true,
-                LostCompass: true,
-                AThreat: true
-            },
-            Mini: {
-                TheLittlePanda: true,
-                MysteriousCoin: true,
-                WeddingInvitation: true,
-                ANewStone: true,
-                SaveTheDeers: true,
-                WolfPuppy: true
-            },
-            Other: {
-                Daily: false,
-                DailyGuild: false,
-                Weekly: false,
-                Ghost: false,
-                PathFinder: false,
-                Starfall: false
-            },
-            Config: {
-                AutoStart: false,
-                PayResources: true,
-                SellinTO: true,
-                TrainUnits: true,
-                GatherfromStar: true,
-                Notification: true,
-                Explorers: {
-                    Treasure: {
-                        Short: [],
-                        Medium: [],
-                        Long: [],
-                        EvenLonger: [],
-                        Prolonged: []
-                    },
-                    AdventureZone: {
-                        Short: [],
-                        Medium: [],
-                        Long: [],
-                        VeryLong: []
-                    }
-                },
-                Buffs: {
-                    PHBuff: '',
-                    Apply: true,
-                    Produce: true
+const aSnapshot = {
+    // Actions that depend on server/zone state of the old session and are rebuilt by the managers
+    volatile: ['status', 'mail', 'friend', 'sendOfficeTrades'],
+    // Restored entries by fn + params, the managers skip re-adding them during the first queue cycle
+    restored: {},
+
+    /**
+     * Snapshot file path, one per client config
+     * @returns {string} Full native file path
+     */
+    path: function () {
+        var nickname = aUtils.getConfigNickname();
+        return aUtils.file.Path('snapshot' + (nickname ? '.' + nickname : ''));
+    },
+
+    /**
+     * Collects the pending (not yet executed) entries of every lane and the waiting list
+     * @returns {Array} Serializable queue entries
+     */
+    collectQueue: function () {
+        var entries = [];
+        $.each(aQueue.lanes, function (name, lane) {
+            entries = entries.concat(lane.queue.slice(lane.index));
+        });
+        return entries.concat(aQueue.waiting).filter(function (entry) {
+            try {
+                JSON.stringify(entry.params);
+                return true;
+            } catch (e) { return false; }
+        });
+    },
+
+    /**
+     * Writes the snapshot file
+     * @param {string} reason - Why the snapshot was taken (restart, reload...)
+     * @returns {boolean} True if written
+     */
+    save: function (reason) {
+        try {
+            const adventure = aSession.adventure;
+            const data = {
+                version: auto.version,
+                time: new Date().getTime(),
+                reason: reason || '',
+                queue: {
+                    entries: aSnapshot.collectQueue(),
+                    interval: aQueue.interval
                 },
-                ProduceResource: {
-                    BuffType: '',
-                    TurnOn: false
+                session: {
+                    isOn: aSession.isOn,
+                    adventure: {
+                        id: adventure.id,
+                        name: adventure.name,
+                        lostArmy: adventure.lostArmy,
+                        index: adventure.index,
+                        action: adventure.action,
+                        repeatCount: adventure.repeatCount,
+                        lastTime: adventure.lastTime,
+                        startTime: adventure.startTime,
+                        starGeneralsStartTime: adventure.starGeneralsStartTime,
+                        steps: adventure.steps
+                    }
                 }
-            }
-        },
-        Buildings: {
-            autoStart: false,
-            TProduction: {
-                ProvisionHouse: { item: '', amount: 0, stack: 1, buff: '' },
-                ProvisionHouse2: { item: '', amount: 0, stack: 1, buff: '' },
-                Barracks: { item: '', amount: 0, stack: 1, buff: '' },
-                EliteBarracks: { item: '', amount: 0, stack: 1, buff: '' },
-                Barracks3: { item: '', amount: 0, stack: 1, buff: '' },
-                ExpeditionWeaponSmith: { item: '', amount: 0, stack: 1, buff: '' },
-                Bookbinder: { item: '', amount: 0, buff: '' },
-                AdventureBookbinder: { item: '', amount: 0, stack: 1 },
-                Oilmill: { item: '', amount: 0, stack: 1 },
-                OilRefinery: { item: '', amount: 0, stack: 1 },
-                Stronghold: { item: '', amount: 0, stack: 1 },
-                Smokehouse: { item: '', amount: 0, stack: 1 },
-                CarnivalGrounds: { item: '', amount: 0, stack: 1 },
-                ArtificerStudy: { item: '', amount: 0, stack: 1 },
-                Laboratory: { item: '', amount: 0, stack: 1 },
-                SiegeWorkshop: { item: '', amount: 0, stack: 1 },
-                ToyFactory: { item: '', amount: 0, stack: 1 },
-                Chocolatier: { item: '', amount: 0, stack: 1 },
-                SnackStand: { item: '', amount: 0, stack: 1 },
-                LoversStatue: { item: '', amount: 0, stack: 1 },
-                CandyFactory: { item: '', amount: 0, stack: 1 },
-                BalloonMarket: { item: '', amount: 0, stack: 1 },
-                S4Lazaret: { item: '', amount: 0, stack: 1 },
-                BlackTree_Blue: { item: '', amount: 0, stack: 1 },
-                BlackTree_Gold: { item: '', amount: 0, stack: 1 },
-                BlackTree_Green: { item: '', amount: 0, stack: 1 },
-                BlackTree_Purple: { item: '', amount: 0, stack: 1 },
-                BlackTree_Red: { item: '', amount: 0, stack: 1 }
-            }
-        },
-        Mail: {
-            AutoStart: false,
-            AutoStartEvents: false,
-            EnabledUsers: {},
-            EnabledResources: {},
-            TimerMinutes: 3,
-            AcceptLoots: true,
-            AcceptGifts: true,
-            AcceptGeologistMsg: true,
-            AcceptAdventureLoot: true,
-            AcceptAdventureMessage: true,
-            SaveFriendsTrades: false,
-            DeclineTrades: true,
-            CompleteTrades: false,
-            AcceptInvites: false,
-            AcceptTrades: false,
-            ToStar: false,
-            AcceptGuildTrades: false,
-            AllowAllResources: false,
-            AllResourcesMax: 0
-        },
-        TransferToStore: {
-            autoStart: false,
-            boxTypes: []
-        },
-        Lootables: {
-            autoStart: false,
-            boxTypes: []
-        },
-        Trade: {
-            Trades: []
-        },
-        Collect: {
-            Pickups: true,
-            LootBoxes: true
-        },
-        Tweaks: {
-            ChatMax: false,
-            TradeAdventureMax: false,
-            TradeBuildingMax: false,
-            TradeBuffMax: false,
-            TradeFreshInterval: false,
-            GUIMaxAnimals: false,
-            MailPageSize: false
+            };
+            console.info('Saving queue snapshot ({0}): {1} entries'.format(data.reason, data.queue.entries.length));
+            return aUtils.file.Write(aSnapshot.path(), JSON.stringify(data));
+        } catch (e) {
+            console.error('Snapshot save error:', e);
+            return false;
         }
     },
 
     /**
-     * Saves current settings to disk as JSON
-     * @param {boolean} [alert] - Whether to show a success alert
-     * @returns {void}
+     * Checks whether a saved queue entry can still be executed
+     * @param {Object} entry - Saved queue entry
+     * @returns {boolean}
      */
-    save: function (alert) {
-        try {
-            const data = JSON.stringify(aSettings.defaults, null, 2);
-            aUtils.file.Write(aUtils.file.Path('settings'), data);
-            if (alert) aUI.Alert("Settings Saved!");
-        } catch (e) { console.error(e); }
+    isValid: function (entry) {
+        if (!entry || typeof entry.fn !== 'string') return false;
+        if (!aQueue.actions.hasOwnProperty(entry.fn)) return false;
+        if (aSnapshot.volatile.indexOf(entry.fn) > -1) return false;
+        if (entry.lane && !aQueue.lanes[entry.lane]) return false;
+        return true;
     },
 
     /**
-     * Loads settings from disk and merges with defaults
-     * Supports per-config settings via --clientconfig parameter
-     * Falls back to default settings.json if nickname-specific file doesn't exist
-     * @returns {void}
+     * Identifies an entry by action and parameters
+     * @param {Object} entry - Queue entry
+     * @returns {string}
      */
-    load: function () {
-        var settingsPath = aUtils.file.Path('settings');
-        var data = aUtils.file.Read(settingsPath);
+    key: function (entry) {
+        return entry.fn + ':' + JSON.stringify(entry.params);
+    },
 
-        // If nickname-specific settings don't exist, try to load from default settings.json
-        if (!data && aUtils.getConfigNickname()) {
-            console.info('Nickname-specific settings not found, checking for default settings.json');
-            var defaultPath = air.File.applicationDirectory.resolvePath('auto/settings.json').nativePath;
-            data = aUtils.file.Read(defaultPath);
+    /**
+     * Checks whether a new entry repeats a restored one, each restored entry absorbs one repeat
+     * @param {Object} entry - Queue entry about to be added
+     * @returns {boolean} True if the entry is already queued from the snapshot
+     */
+    isRestored: function (entry) {
+        if ($.isEmptyObject(aSnapshot.restored)) return false;
+        const key = aSnapshot.key(entry);
+        if (!aSnapshot.restored[key]) return false;
+        aSnapshot.restored[key]--;
+        return true;
+    },
 
-            // If default exists, create a copy with the nickname for future use
-            if (data) {
-                console.info('Creating new settings file from default for config: ' + aUtils.getConfigNickname());
-                try {
-                    aUtils.file.Write(settingsPath, JSON.stringify(data, null, 2));
-                } catch (e) {
-                    console.error('Failed to create nickname-specific settings file:', e);
-                }
+    /**
+     * Restores the snapshot (if any and recent) into aSession and the waiting list
+     * The snapshot file is removed afterwards so it is only applied once
+     * @returns {boolean} True if a snapshot was restored
+     */
+    restore: function () {
+        const path = aSnapshot.path();
+        const data = aUtils.file.Read(path);
+        if (!data) return false;
+        aUtils.file.Delete(path);
+        try {
+            if (!data.time || new Date().getTime() - data.time > TIMEOUTS.SNAPSHOT_MAX_AGE) {
+                console.warn('Queue snapshot is too old, ignoring it');
+                return false;
             }
-        }
-
-        // Final fallback to legacy settings if nothing found
-        if (!data) {
-            data = readSettings(null, 'auto');
-        }
-
-        aSettings = aSettings.extend(aSettings.defaults, data);
-        aSettings.migrate();
-    },
-    migrate: function () {
-        // Migrate old settings to ensure all production buildings have the amount field
-        // This provides backward compatibility for settings saved before the amount field was mandatory
-        if (aSettings.Buildings && aSettings.Buildings.TProduction) {
-            $.each(aSettings.Buildings.TProduction, function (buildingName, settings) {
-                if (!settings.hasOwnProperty('amount')) {
-                    // Add amount field with default value of 0 (disabled)
-                    settings.amount = 0;
+            var skipped = 0, restored = 0;
+            $.each(data.queue.entries || [], function (i, entry) {
+                if (!aSnapshot.isValid(entry)) {
+                    skipped++;
+                    return;
                 }
+                const key = aSnapshot.key(entry);
+                entry.id = ++aQueue.seq;
+                aQueue.waiting.push(entry);
+                aSnapshot.restored[key] = (aSnapshot.restored[key] || 0) + 1;
+                restored++;
             });
-        }
+            if (data.queue.interval) aQueue.interval = data.queue.interval;
 
-        // Migrate Auto settings for backup configuration
-        if (aSettings.Auto) {
-            if (!aSettings.Auto.hasOwnProperty('CreateBackup')) {
-                aSettings.Auto.CreateBackup = true; // Enable by default for safety
-            }
-            if (!aSettings.Auto.hasOwnProperty('KeepBackups')) {
-                aSettings.Auto.KeepBackups = 3; // Keep last 3 backups by default
-            }
-        }
-    },
-    extend: function (target, source) {
-        for (var prop in source) {
-            if (source.hasOwnProperty(prop) && target.hasOwnProperty(prop)) {
-                if ($.isArray(source[prop])) {
-                    if (source[prop].length === 0) {
-                        target[prop] = []; // Assign empty array if needed
-                    } else {
-                        if ($.isArray(target[prop])) {
-                            target[prop] = source[prop].slice(); // copy the array.
-                        } else if (typeof target[prop] !== 'object' || target[prop] === null) {
-                            target[prop] = $.isArray(source[prop]) ? [] : {};
-                        } else {
-                            target[prop] = source[prop];
-                        }
-                    }
-                } else if (typeof source[prop] === 'object' && source[prop] !== null) {
-                    if (typeof target[prop] !== 'object' || target[prop] === null) {
-                        target[prop] = $.isArray(source[prop]) ? [] : {};
-                    }
-                    aSettings.extend(target[prop], source[prop]);
-                } else {
-                    target[prop] = source[prop];
-                }
-            } else if (source.hasOwnProperty(prop) && !target.hasOwnProperty(prop)) {
-                if (!isNaN(parseInt(prop)))
-                    target[prop] = source[prop];
+            const session = data.session || {};
+            $.each(session.isOn || {}, function (feature, value) {
+                if (aSession.isOn.hasOwnProperty(feature)) aSession.isOn[feature] = value;
+            });
+            const adventure = session.adventure;
+            if (adventure && adventure.name && $.isArray(adventure.steps) &&
+                adventure.index <= adventure.steps.length) {
+                $.each(adventure, function (key, value) {
+                    if (aSession.adventure.hasOwnProperty(key)) aSession.adventure[key] = value;
+                });
+            } else if (aSession.isOn.Adventure) {
+                aSession.isOn.Adventure = false;
             }
+            console.info('Queue snapshot restored ({0}): {1} entries, {2} skipped'.format(data.reason, restored, skipped));
+            return true;
+        } catch (e) {
+            console.error('Snapshot restore error:', e);
+            return false;
         }
-        return target;
     }
 }
 
 /**
- * Utility Functions
+ * Outbound Server Messages
  *
- * Collection of utility functions for UI creation, file I/O, formatting,
- * game interactions, and event tracking.
+ * Single entry point for messages sent to the game server. In dry-run mode
+ * (aSession.dryRun) nothing is sent, every call is recorded with its payload
+ * and the module that issued it to auto/logs/dryrun.log and aNet.records.
  *
- * @namespace aUtils
+ * Sends are rate limited by token buckets, one per message code plus a global
+ * one. Messages over the limit are deferred and sent once tokens refill, in order
+ * per key, so a throttled code does not hold back messages of other codes.
+ *
+ * @namespace aNet
  */
-const aUtils = {
-    create: {
-        Panel: function (content) {
-            return $('<div>', { 'class': 'panel panel-defaults', 'style': 'background: inherit;' }).append([
-                // $('<div>', { 'class': 'panel-heading' }).append(header),
-                $('<div>', { 'class': 'panel-body' }).append(content)
-            ])
-        },
-        Select: function (id) {
-            return $('<select>', { 'class': 'form-control', 'id': id });
-        },
-        Button: function (id, text) {
-            return $('<button>', {
-                'style': 'cursor: pointer;text-decoration:none;color:#000;height: 20px;padding: 0px;',
-                'class': 'btn form-control',
-                'id': id
-            }).text(text)
-        },
-        Span: function (id, text) {
-            return $('<span>', {
-                'id': id
-            }).text(text);
-        },
-        Switch: function (id, isChecked) {
-            return $("<label>", {
-                'class': "switch"
-            })
-                .append($("<input>", {
-                    'type': "checkbox",
-                    'id': id,
-                    'checked': isChecked
-                }))
-                .append($("<span/>", {
-                    'class': "slider round"
-                }))
-        },
-        Row: function (colums, rowClass, header) {
-            rowClass = rowClass ? rowClass : '';
-            var rowDiv = $("<div>", { 'class': "row {0}".format(rowClass) })
-            return colums.forEach(function (colum) {
-                var columDiv = $("<div>", {
-                    'class': "col-xs-{0} col-sm-{0} col-lg-{0}".format(colum[0])
-                }).html(colum[1]);
-                header && columDiv.addClass("tblHeader"),
-                    colum[2] && columDiv.addClass(colum[2]),
-                    columDiv.attr("style", header ? "border-radius:10px 10px 10px 10px;line-height: 23px" : ""),
-                    rowDiv.append(columDiv)
-            }), rowDiv
-        },
-        SettingsImg: function (id) {
-            return $('<img>', { id: id, src: 'images/icon_settings.png', style: 'height: 23px; cursor: pointer;' })
-        },
-        newImg: function () {
-            return '<img src="https://img.icons8.com/retro/23/new.png" alt="new"/>';
-        },
-        container: function () {
-            return $('<div>', { 'class': 'container-fluid', 'style': 'height: auto; user-select: none;' });
-        }
+const aNet = {
+    records: [],
+    buckets: {},
+    deferred: [],
+    flushID: null,
+
+    // Messages per second and burst size, keyed by 'action:<code>', 'message:<code>', 'visitZone' or 'invoke:<name>'
+    limits: {
+        global: { rate: LIMITS.OUTBOUND_GLOBAL_RATE, burst: LIMITS.OUTBOUND_GLOBAL_BURST },
+        default: { rate: LIMITS.OUTBOUND_CODE_RATE, burst: LIMITS.OUTBOUND_CODE_BURST },
+        'visitZone': { rate: 0.1, burst: 2 },
+        'invoke:CompleteCollection': { rate: 0.5, burst: 1 }
     },
-    format: {
-        Time: function (ms) {
-            const tSeconds = Math.floor(ms / 1000);
-            const minutes = Math.floor(tSeconds / 60);
-            const seconds = tSeconds % 60;
-            return "{0}:{1}".format(minutes, lz(seconds));
-        },
-        Date: function (ms) {
-            var date = new Date(ms);
-            var day = String(date.getDate());
-            if (day.length < 2) {
-                day = '0' + day;
-            }
-            var month = date.getMonth() + 1;
-            var year = String(date.getFullYear()).slice(-2);
-            var hours = date.getHours();
-            var minutes = String(date.getMinutes());
-            if (minutes.length < 2) {
-                minutes = '0' + minutes;
-            }
-            var ampm = hours >= 12 ? 'PM' : 'AM';
-            hours %= 12;
-            hours = hours ? hours : 12; // the hour '0' should be '12'
-            return day + '/' + month + '/' + year + ' ' + hours + ':' + minutes + ' ' + ampm;
-        },
-        Capitalize: function (string) {
-            return string.charAt(0).toUpperCase() + string.slice(1);
-        },
-        num: function (num) {
-            return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
-        }
+
+    // Outcomes of a send call, false means dry-run kept it from the server
+    SENT: 'sent',
+    QUEUED: 'queued',
+
+    /**
+     * Sends a server action (game.gi.SendServerAction)
+     * @returns {string|boolean} aNet.SENT, aNet.QUEUED or false in dry-run mode
+     */
+    sendServerAction: function (action, param1, grid, param2, data, responder) {
+        if (aSession.dryRun)
+            return aNet.record('SendServerAction', action, { param1: param1, grid: grid, param2: param2, data: data }, responder);
+        return aNet.dispatch('action:' + action, function () {
+            return game.gi.SendServerAction(action, param1, grid, param2, data, responder || null);
+        });
     },
 
     /**
-     * Sanitizes a filename to be Windows-compatible
-     * Removes invalid characters: < > : " / \ | ? *
-     * @param {string} filename - The filename to sanitize
-     * @returns {string} Sanitized filename safe for Windows filesystems
+     * Sends a client message (game.gi.mClientMessages.SendMessagetoServer)
+     * @returns {string|boolean} aNet.SENT, aNet.QUEUED or false in dry-run mode
      */
-    sanitizeFilename: function (filename) {
-        if (!filename) return 'default';
+    sendMessage: function (code, zone, data, responder) {
+        if (aSession.dryRun)
+            return aNet.record('SendMessagetoServer', code, { zone: zone, data: data }, responder);
+        return aNet.dispatch('message:' + code, function () {
+            return game.gi.mClientMessages.SendMessagetoServer(code, zone, data, responder || null);
+        });
+    },
 
-        // Remove/replace Windows invalid characters: < > : " / \ | ? *
-        // Also remove control characters (ASCII 0-31)
-        var sanitized = filename.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_');
+    /**
+     * Travels to a zone (game.gi.visitZone)
+     * @param {number} zoneId - Target zone
+     * @returns {string|boolean} aNet.SENT, aNet.QUEUED or false in dry-run mode
+     */
+    visitZone: function (zoneId) {
+        if (aSession.dryRun)
+            return aNet.record('visitZone', zoneId, { zone: zoneId });
+        return aNet.dispatch('visitZone', function () {
+            return game.gi.visitZone(zoneId);
+        });
+    },
 
-        // Remove leading/trailing dots and spaces (Windows doesn't allow these)
-        sanitized = sanitized.replace(/^[\s.]+|[\s.]+$/g, '');
+    /**
+     * Runs a game call that talks to the server on its own (e.g. a manager method)
+     * @param {string} name - Call name, used as rate limit key
+     * @param {Function} fn - Call to run
+     * @returns {string|boolean} aNet.SENT, aNet.QUEUED or false in dry-run mode
+     */
+    invoke: function (name, fn) {
+        if (aSession.dryRun)
+            return aNet.record('invoke', name, {});
+        return aNet.dispatch('invoke:' + name, fn);
+    },
 
-        // Limit length to 200 characters (Windows MAX_PATH consideration)
-        if (sanitized.length > 200) {
-            sanitized = sanitized.substring(0, 200);
-        }
+    /**
+     * Refills and returns the token bucket of a key
+     * @param {string} key - Rate limit key
+     * @returns {Object} Bucket {tokens, last, rate}
+     */
+    bucket: function (key) {
+        const limit = aNet.limits[key] || aNet.limits.default;
+        const now = new Date().getTime();
+        if (!aNet.buckets[key])
+            aNet.buckets[key] = { tokens: limit.burst, last: now };
+        const bucket = aNet.buckets[key];
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.last) / 1000 * limit.rate);
+        bucket.last = now;
+        bucket.rate = limit.rate;
+        return bucket;
+    },
 
-        // If empty after sanitization, use default
-        return sanitized || 'default';
+    /**
+     * Time until a message with this key may be sent
+     * @param {string} key - Rate limit key
+     * @returns {number} Milliseconds, 0 if it can be sent now
+     */
+    wait: function (key) {
+        return [aNet.bucket('global'), aNet.bucket(key)].reduce(function (wait, bucket) {
+            return bucket.tokens >= 1 ? wait : Math.max(wait, Math.ceil((1 - bucket.tokens) / bucket.rate * 1000));
+        }, 0);
     },
 
     /**
-     * Gets the client config nickname from the global settingsFile variable
-     * This is set by the client when started with --clientconfig parameter
-     * @returns {string|null} Sanitized config nickname or null if using default
+     * Sends now if tokens are available and nothing of the same key is waiting, otherwise defers
+     * @param {string} key - Rate limit key
+     * @param {Function} send - Performs the actual game call
+     * @returns {string} aNet.SENT or aNet.QUEUED
      */
-    getConfigNickname: function () {
-        // settingsFile is a global variable set by the client in index.html
-        // Default value is "settings.json", custom configs have different names
-        // eslint-disable-next-line no-undef
-        if (typeof settingsFile !== 'undefined' && settingsFile !== 'settings.json') {
-            // Extract nickname from settingsFile (remove .json extension if present)
-            // eslint-disable-next-line no-undef
-            var nickname = settingsFile.replace('.json', '');
-            return aUtils.sanitizeFilename(nickname);
+    dispatch: function (key, send) {
+        if (!aNet.pending(key) && !aNet.wait(key)) {
+            aNet.buckets.global.tokens--;
+            aNet.buckets[key].tokens--;
+            send();
+            return aNet.SENT;
         }
+        aNet.deferred.push({ key: key, send: send });
+        if (aNet.deferred.length % LIMITS.OUTBOUND_DEFERRED_WARN === 0)
+            console.warn('Outbound: {0} messages deferred by the rate limiter'.format(aNet.deferred.length));
+        aNet.schedule();
+        return aNet.QUEUED;
+    },
 
-        // Alternative: try to get from rawArgs (also set by client)
-        // eslint-disable-next-line no-undef
-        if (typeof rawArgs !== 'undefined' && rawArgs['clientconfig']) {
-            // eslint-disable-next-line no-undef
-            var nickname = rawArgs['clientconfig'].replace('.json', '');
-            return aUtils.sanitizeFilename(nickname);
-        }
+    /**
+     * Counts deferred messages, optionally for one key
+     * @param {string} [key] - Rate limit key
+     * @returns {number}
+     */
+    pending: function (key) {
+        return key ? aNet.deferred.filter(function (message) { return message.key === key; }).length : aNet.deferred.length;
+    },
 
-        return null; // Use default settings
+    /**
+     * Schedules the next flush of deferred messages
+     * @returns {void}
+     */
+    schedule: function () {
+        if (aNet.flushID || !aNet.deferred.length) return;
+        const next = aNet.deferred.reduce(function (min, message) {
+            return Math.min(min, aNet.wait(message.key));
+        }, Infinity);
+        aNet.flushID = setTimeout(aNet.flush, next);
     },
 
     /**
-     * File I/O Operations
-     * @namespace aUtils.file
+     * Sends every deferred message whose key has tokens, oldest first within a key
+     * @returns {void}
      */
-    file: {
-        /**
-         * Constructs file path in the auto directory
-         * Supports per-config settings when using --clientconfig parameter
-         * @param {string} segment - File name (without .json extension)
-         * @returns {string} Full native file path
-         */
-        Path: function (segment) {
-            // Special handling for settings file - append config nickname if available
-            if (segment === 'settings') {
-                var nickname = aUtils.getConfigNickname();
-                if (nickname) {
-                    segment = 'settings.' + nickname;
-                    console.info('Using per-config settings file: ' + segment + '.json');
-                }
+    flush: function () {
+        aNet.flushID = null;
+        // Keys with an older message still waiting keep their order
+        const blocked = {};
+        var i = 0;
+        while (i < aNet.deferred.length) {
+            const message = aNet.deferred[i];
+            if (blocked[message.key] || aNet.wait(message.key)) {
+                blocked[message.key] = true;
+                i++;
+                continue;
             }
-            return air.File.applicationDirectory.resolvePath('auto/' + segment + '.json').nativePath;
-        },
-        getPath: function (type, file) {
-            var dir = ['templates', 'resources'];
-            return aUtils.file.Path(dir[type] + '/' + file);
-        },
-        checkResource: function (file) {
-            var file = new air.File(aUtils.file.getPath(1, file));
-            return file.exists;
-        },
-        validatePath: function (filePath) {
-            // Validate that the path is within allowed directories to prevent directory traversal
+            aNet.deferred.splice(i, 1);
+            aNet.buckets.global.tokens--;
+            aNet.buckets[message.key].tokens--;
             try {
-                var file = new air.File(filePath);
-                var allowedDirs = [
-                    air.File.applicationDirectory.nativePath,
-                    air.File.applicationStorageDirectory.nativePath,
-                    air.File.applicationDirectory.resolvePath('auto').nativePath
-                ];
+                message.send();
+            } catch (e) { console.error('Outbound send error ({0}):'.format(message.key), e); }
+        }
+        aNet.schedule();
+    },
 
-                var fileNativePath = file.nativePath;
-                var isValid = allowedDirs.some(function (allowedDir) {
-                    return fileNativePath.indexOf(allowedDir) === 0;
-                });
+    /**
+     * Converts a payload (value objects included) to plain JSON data
+     * @param {*} value - Payload
+     * @returns {*} Serializable copy
+     */
+    describe: function (value) {
+        if (value === null || typeof value !== 'object') return value === undefined ? null : value;
+        try {
+            const json = JSON.stringify(value);
+            if (json && json !== '{}') return JSON.parse(json);
+        } catch (e) { }
+        const plain = {};
+        for (var key in value) {
+            try {
+                if (typeof value[key] === 'function') continue;
+                plain[key] = typeof value[key] === 'object' ? aNet.describe(value[key]) : value[key];
+            } catch (e) { }
+        }
+        return plain;
+    },
 
-                if (!isValid) {
-                    // Check if validation is disabled - only override on failure
-                    if (!aSettings.defaults.Security.validateFilePaths) {
-                        console.info('Path validation disabled - allowing access to: ' + filePath);
-                        return true;
-                    }
-                    console.error('Path validation failed: ' + filePath + ' is outside allowed directories');
-                    console.error('Invalid path access attempt: ' + filePath);
-                    return false;
-                }
-                return true;
-            } catch (e) {
-                console.error('Path validation error: ' + e);
-                console.error('Path validation error: ' + e);
-                return false;
-            }
-        },
+    /**
+     * Records a call that was not sent because of dry-run mode
+     * @returns {boolean} Always false, nothing was sent
+     */
+    record: function (kind, code, payload, responder) {
+        const entry = {
+            time: new Date().getTime(),
+            kind: kind,
+            code: code,
+            module: aQueue.source || 'event',
+            action: aQueue.executing ? aQueue.executing.fn : null,
+            payload: {},
+            responder: !!responder
+        };
+        $.each(payload, function (key, value) {
+            entry.payload[key] = aNet.describe(value);
+        });
+        aNet.records.push(entry);
+        if (aNet.records.length > LIMITS.DRY_RUN_RECORDS)
+            aNet.records.shift();
+        aUtils.file.Append(air.File.applicationDirectory.resolvePath('auto/logs/dryrun.log').nativePath, JSON.stringify(entry) + '\n');
+        console.info('[DryRun] {0} {1} from {2}'.format(kind, code, entry.module));
+        return false;
+    },
 
-        /**
-         * Reads and parses a JSON file from disk
-         * @param {string} fileName - Full path to the file
-         * @returns {Object|boolean} Parsed JSON object, or false if file doesn't exist or is invalid
-         */
-        Read: function (fileName, isNotJson) {
-            try {
-                if (!aUtils.file.validatePath(fileName)) {
-                    console.error('Read blocked - invalid path: ' + fileName);
-                    return false;
-                }
+    /**
+     * Switches dry-run mode on or off
+     * @param {boolean} enabled
+     * @returns {void}
+     */
+    setDryRun: function (enabled) {
+        aSession.dryRun = enabled;
+        aUI.Alert('Dry run is {0}'.format(enabled ? 'On, nothing will be sent to the server' : 'Off'), enabled ? 'ERROR' : 'QUEST');
+        aUI.menu.init();
+    }
+}
 
-                var file = new air.File(fileName);
-                if (!file.exists) return false;
-                var fileStream = new air.FileStream();
-                fileStream.open(file, air.FileMode.READ);
-                var data = fileStream.readUTFBytes(file.size);
-                fileStream.close();
-                if (data === "") { return false; }
-                return isNotJson ? data : JSON.parse(data);
-            } catch (e) {
-                console.error('File read error: ' + e);
-                console.error('Read error: ' + e);
-                return false;
-            }
-        },
+/**
+ * Event Bus
+ *
+ * Publish/subscribe between modules. Game trackers and automation code emit
+ * events, modules subscribe in their subscribe() function (called by auto.init)
+ * instead of checking state every queue cycle.
+ *
+ * @namespace aBus
+ */
+const aBus = {
+    EVENTS: {
+        ZONE_LOADED: 'zoneLoaded',           // {zoneId, home}
+        BATTLE_FINISHED: 'battleFinished',   // {casualties}
+        MAIL_RECEIVED: 'mailReceived',       // {mails}
+        TRADE_COMPLETED: 'tradeCompleted',   // {id, type, accept}
+        QUEST_FINISHED: 'questFinished',     // {name, how}
+        STEP_ADVANCED: 'stepAdvanced',       // {step, index}
+        FEATURE_TOGGLED: 'featureToggled',   // {feature, on}
+        ADVENTURE_FINISHED: 'adventureFinished' // {name, template, losses, duration}
+    },
+    handlers: {},
 
-        /**
-         * Writes data to a file on disk
-         * @param {string} path - Full path to the file
-         * @param {string} data - Data to write (typically JSON string)
-         * @returns {void}
-         */
-        Write: function (path, data) {
-            try {
-                if (!aUtils.file.validatePath(path)) {
-                    console.error('Write blocked - invalid path: ' + path);
-                    return false;
-                }
+    /**
+     * Subscribes to an event, subscribing the same handler twice has no effect
+     * @param {string} event - aBus.EVENTS value
+     * @param {Function} handler - Called with the event data
+     * @returns {Function} The handler, for aBus.off
+     */
+    on: function (event, handler) {
+        aBus.handlers[event] = aBus.handlers[event] || [];
+        if (aBus.handlers[event].indexOf(handler) === -1)
+            aBus.handlers[event].push(handler);
+        return handler;
+    },
 
-                var fileStream = new air.FileStream();
-                fileStream.open(new air.File(path), air.FileMode.WRITE);
-                fileStream.writeUTFBytes(data);
-                fileStream.close();
-                return true;
-            } catch (e) {
-                console.error('File write error: ' + e);
-                console.error('Write error: ' + e);
-                return false;
-            }
-        },
+    /**
+     * Subscribes to the next occurrence of an event only
+     * @param {string} event - aBus.EVENTS value
+     * @param {Function} handler - Called with the event data
+     * @returns {Function} Wrapped handler, for aBus.off
+     */
+    once: function (event, handler) {
+        var wrapper = function (data) {
+            aBus.off(event, wrapper);
+            handler(data);
+        };
+        return aBus.on(event, wrapper);
+    },
 
-        /**
-         * Deletes a file from disk
-         * @param {string} path - Full path to the file to delete
-         * @returns {void}
-         */
-        Delete: function (path) {
+    /**
+     * Removes a handler
+     * @param {string} event - aBus.EVENTS value
+     * @param {Function} handler - Handler passed to aBus.on
+     * @returns {void}
+     */
+    off: function (event, handler) {
+        const index = (aBus.handlers[event] || []).indexOf(handler);
+        if (index !== -1) aBus.handlers[event].splice(index, 1);
+    },
+
+    /**
+     * Calls every handler of an event, a failing handler does not stop the others
+     * @param {string} event - aBus.EVENTS value
+     * @param {Object} [data] - Event data
+     * @returns {void}
+     */
+    emit: function (event, data) {
+        (aBus.handlers[event] || []).slice().forEach(function (handler) {
             try {
-                if (!aUtils.file.validatePath(path)) {
-                    console.error('Delete blocked - invalid path: ' + path);
-                    return false;
-                }
+                handler(data || {});
+            } catch (e) { console.error('Event {0} handler error:'.format(event), e); }
+        });
+    }
+}
 
-                new air.File(path).deleteFile();
-                return true;
-            } catch (e) {
-                console.error('File delete error: ' + e);
-                console.error('Delete error: ' + e);
+/**
+ * Extension API
+ *
+ * Lets companion userscripts add queue actions, managers, a Settings tab,
+ * an Automation submenu and settings sections without patching this script.
+ * Extensions loaded before this script push their descriptor to
+ * window.aAutoExtensions, which is processed by auto.init. Later pushes
+ * (or direct aExtensions.register calls) register immediately.
+ *
+ *  window.aAutoExtensions = window.aAutoExtensions || [];
+ *  window.aAutoExtensions.push({
+ *      name: 'MyExtension', version: '1.0.0', api: 1, minVersion: '2.0.3',
+ *      defaults: { MyExtension: { enabled: true } },
+ *      actions: { myAction: function (params) { ... } },
+ *      policies: { myAction: { timeout: 30000, recover: 'skip' } },
+ *      managers: [{ lane: 'system', feature: null, run: function () { aQueue.add('myAction', [], 0, 'system'); } }],
+ *      settings: { label: 'My Ext', build: function () { return $('<div>'); }, bind: function () { }, save: function () { } },
+ *      menu: [{ label: 'Do something', onSelect: function () { } }]
+ *  });
+ *
+ * @namespace aExtensions
+ */
+const aExtensions = {
+    API_VERSION: 1,
+    registry: {},
+
+    /**
+     * Checks an extension descriptor against this script
+     * @param {Object} ext - Extension descriptor
+     * @returns {string|null} Reason it is refused, null if it can be registered
+     */
+    check: function (ext) {
+        if (!ext || typeof ext.name !== 'string' || !ext.name)
+            return 'missing name';
+        if (aExtensions.registry.hasOwnProperty(ext.name))
+            return 'already registered';
+        if (ext.api !== aExtensions.API_VERSION)
+            return 'written for extension API v{0}, this script provides v{1}'.format(ext.api, aExtensions.API_VERSION);
+        if (ext.minVersion && auto.update.compareVersions(auto.version, ext.minVersion) < 0)
+            return 'requires script v{0} or newer, running v{1}'.format(ext.minVersion, auto.version);
+        var reason = null;
+        $.each(ext.actions || {}, function (name, fn) {
+            if (typeof fn !== 'function') reason = 'action "{0}" is not a function'.format(name);
+            else if (aQueue.actions.hasOwnProperty(name)) reason = 'action "{0}" already exists'.format(name);
+            return !reason;
+        });
+        (ext.managers || []).forEach(function (manager) {
+            if (reason) return;
+            if (!manager || typeof manager.run !== 'function') reason = 'manager without run function';
+            else if (!aQueue.lanes[manager.lane]) reason = 'unknown lane "{0}"'.format(manager.lane);
+        });
+        $.each(ext.defaults || {}, function (section) {
+            if (aSettings.defaults.hasOwnProperty(section)) reason = 'settings section "{0}" already exists'.format(section);
+            return !reason;
+        });
+        if (ext.settings && typeof ext.settings.build !== 'function')
+            reason = reason || 'settings tab without build function';
+        return reason;
+    },
+
+    /**
+     * Registers an extension, a mismatched or conflicting extension is refused as a whole
+     * @param {Object} ext - Extension descriptor (see namespace doc)
+     * @returns {boolean} True if registered
+     */
+    register: function (ext) {
+        try {
+            const reason = aExtensions.check(ext);
+            if (reason) {
+                const name = ext && ext.name ? ext.name : 'unknown';
+                console.error('Extension {0} refused: {1}'.format(name, reason));
+                aUI.Alert('Extension {0} was not loaded ({1})'.format(name, reason), 'ERROR');
                 return false;
             }
-        },
-        Select: function (callback) {
-            try {
-                var file = new air.File();
-                file.browseForOpen("Select a Template");
-                // Use self-removing handler to prevent memory leak
-                var selectHandler = function (event) {
-                    file.removeEventListener(air.Event.SELECT, selectHandler);
-                    callback(event);
-                };
-                file.addEventListener(air.Event.SELECT, selectHandler);
-            } catch (e) { }
-        },
-        SaveTemplate: function (template) {
-            var lastDir = settings.read("autoAdvlastDir");
-            file = new air.File(lastDir ? lastDir : air.File.documentsDirectory.nativePath)
-                .resolvePath("autoAdvTemplate.txt"), file.addEventListener(air.Event.COMPLETE, (function (t) {
-                    if (mainSettings.changeTemplateFolder) {
-                        var a = {};
-                        a["autoAdvlastDir"] = t.target.parent.nativePath,
-                            mainSettings["autoAdvlastDirlastDir"] = t.target.parent.nativePath,
-                            settings.store(a);
-                    };
-
-                })), file.save(JSON.stringify(template, null, " "))
+            if (!$.isEmptyObject(ext.defaults || {})) {
+                const saved = aUtils.file.Read(aUtils.file.Path('settings')) || {};
+                $.each(ext.defaults, function (section, defaults) {
+                    aSettings.defaults[section] = $.extend(true, {}, defaults);
+                    aSettings.factory[section] = $.extend(true, {}, defaults);
+                    aSettings.issues = aSettings.issues.filter(function (issue) { return issue.path[0] !== section; });
+                    if (saved[section]) aSettings.extend(aSettings.defaults[section], saved[section]);
+                });
+            }
+            $.each(ext.actions || {}, function (name, fn) {
+                aQueue.actions[name] = fn;
+            });
+            $.each(ext.policies || {}, function (name, policy) {
+                if (!aQueue.policies.hasOwnProperty(name)) aQueue.policies[name] = policy;
+            });
+            (ext.managers || []).forEach(function (manager) {
+                aQueue.managers.push({
+                    lane: manager.lane,
+                    module: ext.name,
+                    feature: manager.feature || null,
+                    run: manager.run
+                });
+            });
+            aExtensions.registry[ext.name] = ext;
+            console.info('Extension {0} v{1} registered'.format(ext.name, ext.version || '?'));
+            aUI.menu.init();
+            return true;
+        } catch (e) {
+            console.error('Extension registration error:', e);
+            return false;
         }
     },
-    trackers: {
-        zoneRefreshed: function () {
+
+    /**
+     * Registers extensions queued in window.aAutoExtensions and lets later pushes register directly
+     * @returns {void}
+     */
+    init: function () {
+        const pending = $.isArray(window.aAutoExtensions) ? window.aAutoExtensions : [];
+        window.aAutoExtensions = {
+            push: function (ext) { return aExtensions.register(ext); }
+        };
+        pending.forEach(aExtensions.register);
+    },
+
+    /**
+     * Calls a hook of every registered extension, an extension error does not affect the others
+     * @param {string} part - Descriptor part ('settings')
+     * @param {string} hook - Function name in that part
+     * @returns {Object} Hook results by extension name
+     */
+    each: function (part, hook) {
+        const results = {};
+        $.each(aExtensions.registry, function (name, ext) {
+            if (!ext[part] || typeof ext[part][hook] !== 'function') return;
             try {
-                if (game.gi.isOnHomzone()) {
-                    if (aSession.zoneAction === 'BackHomeFromFriend') {
-                        setTimeout(function () { aQueue.skip(); }, TIMEOUTS.QUEUE_SKIP_DELAY);
-                        aSession.zoneAction = null;
-                    }
-                    if (aSession.adventure.action === "FinishAdventure") {
-                        console.info('Finishing adventure');
-                        if (aSettings.defaults.Adventures.reTrain)
-                            aAdventure.action.trainLostUnits();
-
-                        aSession.adventure.repeatCount--;
-                        aSession.adventure.reset();
-                        aUI.modals.adventure.AM_LoadInfo()
-                        setTimeout(function () {
-                            aSession.isOn.Adventure = true;
-                            aUI.menu.init();
-                        }, TIMEOUTS.ADVENTURE_START_DELAY);
-                    }
-                } else {
-                    if (aSession.zoneAction === 'ApplyBuffOnFriend') {
-                        setTimeout(function () { aQueue.skip(); }, TIMEOUTS.QUEUE_SKIP_DELAY);
-                        aSession.zoneAction = 'BackHomeFromFriend';
-                    }
-                }
+                results[name] = ext[part][hook]();
+            } catch (e) { console.error('Extension {0} {1}.{2} error:'.format(name, part, hook), e); }
+        });
+        return results;
+    },
 
-                var step = aSession.adventure.currentStep();
-                if (step && ((step.name === 'VisitAdventure' && aAdventure.info.isOnAdventure()) ||
-                    (step.name === 'ReturnHome' && game.gi.isOnHomzone()))) {
-                    aUI.Alert("{0} Island Loaded!".format(step.name === 'VisitAdventure' ? 'Adventure' : 'Home'), 'QUEST');
-                    aSession.adventure.action = '';
-
-                    // Auto-inject WaitForDeparture step after VisitAdventure if missing
-                    if (step.name === 'VisitAdventure') {
-                        var nextStepIndex = aSession.adventure.index + 1;
-                        var nextStep = aSession.adventure.steps[nextStepIndex];
-
-                        // If next step is not WaitForDeparture, inject it
-                        if (!nextStep || nextStep.name !== 'WaitForDeparture') {
-                            aSession.adventure.steps.splice(nextStepIndex, 0, {
-                                name: 'WaitForDeparture',
-                                data: null
-                            });
-                            console.info('Auto-injected WaitForDeparture step after VisitAdventure');
-                        }
-                    }
+    /**
+     * Automation submenu entries of registered extensions
+     * @returns {Array} Menu JSON items
+     */
+    menuItems: function () {
+        const items = [];
+        $.each(aExtensions.registry, function (name, ext) {
+            const entries = typeof ext.menu === 'function' ? ext.menu() : ext.menu;
+            if ($.isArray(entries) && entries.length)
+                items.push({ label: name, items: entries });
+        });
+        return items;
+    }
+}
 
-                    aSession.adventure.nextStep();
+/**
+ * Activity Ledger
+ *
+ * Per-day record of what the automation did, stored in auto/ledger/<YYYY-MM-DD>.json.
+ * Modules call aLedger.record() when they act, trades, quests and finished
+ * adventures are picked up from aBus. Nothing is recorded in dry-run mode.
+ *
+ * @namespace aLedger
+ */
+const aLedger = {
+    // Cached day file being written: {date, records}
+    today: null,
+    // Records of today not yet written and the timer that writes them
+    unsaved: 0,
+    flushID: null,
+
+    TYPES: {
+        loot: 'Loot mails claimed',
+        trade: 'Trades',
+        box: 'Boxes opened',
+        explorer: 'Explorers sent',
+        geologist: 'Geologists sent',
+        production: 'Productions started',
+        quest: 'Quests completed',
+        adventure: 'Adventures finished'
+    },
 
-                    if (step.name === 'VisitAdventure') {
-                        const waitingQuests = game.quests.GetQuestPool().GetQuest_vector().toArray().filter(function (quest) {
-                            return quest && quest.mQuestMode === 2;
-                        });
-                        waitingQuests.forEach(function (quest) {
-                            globalFlash.gui.mQuestBook.SetPreselectedQuest(quest);
-                            globalFlash.gui.mQuestBook.Show();
-                            globalFlash.gui.mQuestBook.Hide();
-                        });
-                    }
-                }
-            } catch (e) { console.error(e) }
-        },
-        battleFinished: function (e) {
-            try {
-                if (!aAdventure.info.isOnAdventure()) return;
-                aUI.modals.adventure.AM_UpdateInfo(e.data.getCasualties());
-                const enemies = aSession.adventure.getEnemies();
-                aUI.Alert("Target Enemy Camps Eliminated ({0}/{1})!!".format(
-                    enemies.all - enemies.remaining,
-                    enemies.all),
-                    "ARMY"
-                );
+    /**
+     * Day key of a date
+     * @param {Date} [date] - Defaults to now
+     * @returns {string} YYYY-MM-DD
+     */
+    day: function (date) {
+        date = date || new Date();
+        return '{0}-{1}-{2}'.format(date.getFullYear(), lz(date.getMonth() + 1), lz(date.getDate()));
+    },
 
-            } catch (er) { console.error(er) }
-        },
-        chatObserver: function () {
-            //debug(e);
+    /**
+     * Ledger file of a day
+     * @param {string} day - YYYY-MM-DD
+     * @returns {string} Full path
+     */
+    path: function (day) {
+        return aUtils.file.Path('ledger/' + day);
+    },
+
+    /**
+     * Lists days that have a ledger file or unsaved entries, newest first
+     * @returns {Array<string>}
+     */
+    days: function () {
+        var days = [];
+        try {
+            const dir = new air.File(aLedger.path('x')).parent;
+            if (dir.exists)
+                days = dir.getDirectoryListing().map(function (file) { return file.name; })
+                    .filter(function (name) { return /^\d{4}-\d{2}-\d{2}\.json$/.test(name); })
+                    .map(function (name) { return name.replace('.json', ''); });
+        } catch (e) { }
+        if (aLedger.today && days.indexOf(aLedger.today.date) === -1) days.push(aLedger.today.date);
+        return days.sort().reverse();
+    },
+
+    /**
+     * Reads a day
+     * @param {string} day - YYYY-MM-DD
+     * @returns {Object} {date, records}
+     */
+    load: function (day) {
+        if (aLedger.today && aLedger.today.date === day) return aLedger.today;
+        const data = aUtils.file.Read(aLedger.path(day));
+        return data && $.isArray(data.records) ? data : { date: day, records: [] };
+    },
+
+    /**
+     * Appends an entry to today's ledger, the day file is written every
+     * LIMITS.LEDGER_FLUSH_RECORDS entries or TIMEOUTS.LEDGER_FLUSH_DELAY after the first unsaved one
+     * @param {string} type - aLedger.TYPES key
+     * @param {Object} [data] - Entry details
+     * @returns {void}
+     */
+    record: function (type, data) {
+        if (aSession.dryRun) return;
+        try {
+            const day = aLedger.day();
+            if (!aLedger.today || aLedger.today.date !== day) {
+                aLedger.flush();
+                aLedger.today = aLedger.load(day);
+                aLedger.today.date = day;
+            }
+            aLedger.today.records.push($.extend({ time: new Date().getTime(), type: type }, data || {}));
+            aLedger.unsaved++;
+            if (aLedger.unsaved >= LIMITS.LEDGER_FLUSH_RECORDS)
+                aLedger.flush();
+            else if (!aLedger.flushID)
+                aLedger.flushID = setTimeout(aLedger.flush, TIMEOUTS.LEDGER_FLUSH_DELAY);
+        } catch (e) { console.error('Ledger write error:', e); }
+    },
+
+    /**
+     * Writes the unsaved entries of the cached day file
+     * @returns {void}
+     */
+    flush: function () {
+        clearTimeout(aLedger.flushID);
+        aLedger.flushID = null;
+        if (!aLedger.unsaved || !aLedger.today) return;
+        try {
+            const path = aLedger.path(aLedger.today.date);
+            const dir = new air.File(path).parent;
+            if (!dir.exists) dir.createDirectory();
+            if (aUtils.file.Write(path, JSON.stringify(aLedger.today)))
+                aLedger.unsaved = 0;
+        } catch (e) { console.error('Ledger write error:', e); }
+    },
+
+    /**
+     * Subscribes to aBus events
+     * @returns {void}
+     */
+    subscribe: function () {
+        aBus.on(aBus.EVENTS.TRADE_COMPLETED, function (data) {
+            aLedger.record('trade', { id: data.id, action: data.type === 1 ? (data.accept ? 'accepted' : 'declined') : 'collected' });
+        });
+        aBus.on(aBus.EVENTS.QUEST_FINISHED, function (data) {
+            aLedger.record('quest', { name: data.name, how: data.how });
+        });
+        aBus.on(aBus.EVENTS.ADVENTURE_FINISHED, function (data) {
+            aLedger.record('adventure', { name: data.name, template: data.template, losses: data.losses, duration: data.duration });
+        });
+    },
+
+    /**
+     * One line description of an entry
+     * @param {Object} entry - Ledger entry
+     * @returns {string}
+     */
+    describe: function (entry) {
+        const items = function (list) {
+            return $.map(list || {}, function (amount, name) { return '{0} x{1}'.format(aUtils.game.getText(name), amount); }).join(', ');
+        };
+        switch (entry.type) {
+            case 'loot': return '{0} mails'.format(entry.mails);
+            case 'trade': return 'Trade {0} {1}'.format(entry.id, entry.action);
+            case 'box': return '{0}: {1}'.format(aUtils.game.getText(entry.box), items(entry.items));
+            case 'explorer': return 'Task {0}.{1}'.format(entry.task, entry.subtask);
+            case 'geologist': return aUtils.game.getText(entry.resource);
+            case 'production': return '{0} x{1}'.format(aUtils.game.getText(entry.item), entry.amount * entry.stacks);
+            case 'quest': return '{0} ({1})'.format(loca.GetText('QUL', entry.name), entry.how);
+            case 'adventure': return '{0}, lost {1} units{2}'.format(loca.GetText('ADN', entry.name), entry.losses ? entry.losses.total : 0,
+                entry.duration ? ', ' + aUtils.format.Time(entry.duration) : '');
         }
+        return '';
     },
-    game: {
-        applyTweaks: function () {
+
+    /**
+     * Totals of a day
+     * @param {Array} records - Ledger entries
+     * @returns {Object} Per type: {count, items}, items sum box contents, resources, produced items or lost units
+     */
+    summary: function (records) {
+        const summary = {};
+        $.each(aLedger.TYPES, function (type) { summary[type] = { count: 0, items: {} }; });
+        const add = function (type, name, amount) {
+            summary[type].items[name] = (summary[type].items[name] || 0) + amount;
+        };
+        records.forEach(function (entry) {
+            if (!summary[entry.type]) return;
+            summary[entry.type].count += entry.type === 'loot' ? entry.mails : 1;
+            if (entry.type === 'box') $.each(entry.items || {}, function (name, amount) { add('box', name, amount); });
+            if (entry.type === 'trade') add('trade', entry.action, 1);
+            if (entry.type === 'geologist') add('geologist', entry.resource, 1);
+            if (entry.type === 'production') add('production', entry.item, entry.amount * entry.stacks);
+            if (entry.type === 'adventure' && entry.losses) $.each(entry.losses.army, function (unit, lost) { add('adventure', unit, lost); });
+        });
+        return summary;
+    },
+
+    /**
+     * Converts a day to CSV, one row per entry
+     * @param {Object} data - {date, records}
+     * @returns {string}
+     */
+    toCSV: function (data) {
+        const quote = function (value) { return '"' + String(value === undefined || value === null ? '' : value).replace(/"/g, '""') + '"'; };
+        return ['time,type,details,data'].concat(data.records.map(function (entry) {
+            const details = $.extend({}, entry);
+            delete details.time;
+            delete details.type;
+            return [quote(aUtils.format.Date(entry.time)), quote(entry.type), quote(aLedger.describe(entry)), quote(JSON.stringify(details))].join(',');
+        })).join('\r\n');
+    }
+}
+
+/**
+ * Diagnostics Bundle
+ *
+ * Writes a timestamped folder under auto/diagnostics/ with what maintainers
+ * ask for in bug reports: recent logs, settings with friend IDs masked,
+ * session and queue state, resource versions and a game API probe.
+ *
+ * @namespace aDiagnostics
+ */
+const aDiagnostics = {
+    // Game API used by the script, checked by probe()
+    api: [
+        'game.gi.SendServerAction',
+        'game.gi.mClientMessages.SendMessagetoServer',
+        'game.gi.visitZone',
+        'game.gi.isOnHomzone',
+        'game.gi.mCurrentPlayer.GetHomeZoneId',
+        'game.gi.mContentGeneratorManager.CompleteCollection',
+        'game.zone.GetBuildingFromGridPosition',
+        'game.zone.UpgradeBuildingOnGridPosition',
+        'game.zone.SendDestructBuildingCommand',
+        'game.quests.getQuest',
+        'game.quests.GetQuestPool',
+        'game.getSpecialists',
+        'game.getResources',
+        'game.createResponder',
+        'globalFlash.gui.mQuestBook',
+        'globalFlash.gui.mContentGeneratorPanel'
+    ],
+    definitions: [
+        'Communication.VO::dServerAction',
+        'Communication.VO::dIntegerVO',
+        'Communication.VO::dTimedProductionVO',
+        'Communication.VO::dStartSpecialistTaskVO',
+        'Communication.VO.Mail::dDismissMailsRequestVO',
+        'ServerState::cConnectionManager',
+        'com.bluebyte.tso.util::MailUtils',
+        'MilitarySystem::cSquad'
+    ],
+    // Keys holding player IDs
+    idKeys: /^(friendID|friendId|senderId|reciepientId|receipientId|playerId)$/,
+    // Keys holding player names
+    nameKeys: /^(FriendName|friendName|username)$/,
+
+    /**
+     * Checks which game functions and definitions are available
+     * @returns {Object} Path or definition name -> 'ok', 'missing' or the error
+     */
+    probe: function () {
+        const result = {};
+        aDiagnostics.api.forEach(function (path) {
             try {
-                game.def("defines").CLIENT_PACKET_LOSS_TIMEOUT = aSettings.defaults.Auto.increaseTimeout ? LIMITS.CLIENT_PACKET_TIMEOUT_INCREASED : LIMITS.CLIENT_PACKET_TIMEOUT_DEFAULT;
-                globalFlash.gui.mChatPanel.getViewComponent().messageHistory.maxEntries = aSettings.defaults.Tweaks.ChatMax ? 100 : 300;
-                game.def("global").tradeMaxAdventureAmount = aSettings.defaults.Tweaks.TradeAdventureMax ? 100 : 10;
-                game.def("global").tradeMaxBuildingAmount = aSettings.defaults.Tweaks.TradeBuildingMax ? 100 : 10;
-                game.def("global").tradeMaxBuffAmount = aSettings.defaults.Tweaks.TradeBuffMax ? LIMITS.TRADE_BUFF_MAX_TWEAKED : LIMITS.TRADE_BUFF_MAX_DEFAULT;
-                game.def("global").tradeRefreshInterval = aSettings.defaults.Tweaks.TradeFreshInterval ? 10 : 30;
-                game.def("global").maxAnimalsOnMap = aSettings.defaults.Tweaks.GUIMaxAnimals ? 50 : 100;
-                game.def("global").mailboxPageSize = aSettings.defaults.Tweaks.MailPageSize ? 100 : 50;
-            } catch (e) { }
-        },
-        checkRAM: function () {
-            if (!aSettings.defaults.Auto.RestartRAM) return;
-            if (air.System.privateMemory > (aSettings.defaults.Auto.RestartRAM * Math.pow(1024, 3)))
-                this.restart();
-        },
-        restart: function () {
-            updateApplication();
-            var nativeProcessStartupInfo = new window.runtime.flash.desktop.NativeProcessStartupInfo();
-            var file = air.File.applicationDirectory.resolvePath("client.exe");
-            nativeProcessStartupInfo.executable = file;
-            var processArgs = new window.runtime.Vector["<String>"]();
-            $.extend(rawArgs, {
-                "flexid": game.def("mx.messaging::FlexClient").getInstance().id,
-                "authrandom": game.def("defines").CLIENT_AUTHRANDOM,
-                "autorun": JSON.stringify(aSession.isOn)
+                var value = window;
+                path.split('.').forEach(function (key) {
+                    value = value === undefined || value === null ? undefined : value[key];
+                });
+                result[path] = value === undefined || value === null ? 'missing' : 'ok';
+            } catch (e) { result[path] = 'error: ' + e; }
+        });
+        aDiagnostics.definitions.forEach(function (name) {
+            try {
+                result[name] = game.def(name) ? 'ok' : 'missing';
+            } catch (e) { result[name] = 'error: ' + e; }
+        });
+        return result;
+    },
+
+    /**
+     * Placeholder of a player, the name (if given) gets the same placeholder
+     * @param {Object} known - Masking state, see known()
+     * @param {*} id - Player ID
+     * @param {string} [name] - Player name
+     * @returns {string} friend#N
+     */
+    placeholder: function (known, id, name) {
+        id = String(id);
+        if (!known.strings[id]) known.strings[id] = 'friend#' + (++known.count);
+        if (name) known.strings[name] = known.strings[id];
+        return known.strings[id];
+    },
+
+    /**
+     * Masking state seeded with the friend list, so their names are masked in the logs as well
+     * @returns {Object} {strings: {ID or name: placeholder}, count}
+     */
+    known: function () {
+        const known = { strings: {}, count: 0 };
+        try {
+            aUtils.friends.getFriends().forEach(function (friend) {
+                aDiagnostics.placeholder(known, friend.id, friend.username);
             });
-            processArgs[0] = "tso://?" + Object.keys(rawArgs).map(function (k) { return "{0}={1}".format(k, rawArgs[k]); }).join('&');
-            nativeProcessStartupInfo.arguments = processArgs;
-            process = new window.runtime.flash.desktop.NativeProcess();
-            process.start(nativeProcessStartupInfo);
-            setTimeout(function () {
-                window.runtime.flash.desktop.NativeApplication.nativeApplication.exit(-3);
-            }, TIMEOUTS.ADVENTURE_RETRY_DELAY);
-        },
-        getText: function (item) {
-            const textTypes = ["RES", "BUI", "SPE", "COL", "LAB", "ADN", "ALM", "SHI", "ACL"];
-            if (item === "") return "";
-            for (var idx = 0; idx < textTypes.length; idx++) {
-                var n = loca.GetText(textTypes[idx], item);
-                if (n.toLowerCase().indexOf("undefined") < 0)
-                    return n;
+        } catch (e) { }
+        return known;
+    },
+
+    /**
+     * Deep copy with player IDs and friend names replaced by stable placeholders (friend#1, friend#2...)
+     * String values equal to a known ID or name are masked wherever they are
+     * @param {*} value - Data to mask
+     * @param {Object} known - Masking state, see known()
+     * @returns {*} Masked copy
+     */
+    mask: function (value, known) {
+        if (typeof value === 'string' && known.strings.hasOwnProperty(value)) return known.strings[value];
+        if (value === null || typeof value !== 'object') return value;
+        if ($.isArray(value)) return value.map(function (item) { return aDiagnostics.mask(item, known); });
+        const copy = {};
+        $.each(value, function (key, item) {
+            if ((aDiagnostics.idKeys.test(key) || aDiagnostics.nameKeys.test(key)) && item) {
+                copy[key] = aDiagnostics.placeholder(known, item);
+            } else if (key === 'EnabledUsers' && item && typeof item === 'object') {
+                // Mail.EnabledUsers is keyed by player ID, entries hold the friend name
+                copy[key] = {};
+                $.each(item, function (id, user) {
+                    const placeholder = aDiagnostics.placeholder(known, id, user && user.name);
+                    copy[key][placeholder] = aDiagnostics.mask(user, known);
+                    if (user && user.name) copy[key][placeholder].name = placeholder;
+                });
+            } else {
+                copy[key] = aDiagnostics.mask(item, known);
             }
-            return item;
-        },
-        sendSpecialistPacket: function (uniqueId, taskId, subTaskId) {
-            if (!uniqueId) return;
+        });
+        return copy;
+    },
+
+    /**
+     * Replaces every known player ID and name in a text in a single pass
+     * Longer strings come first in the pattern so names containing others stay whole
+     * @param {string} text - Log text
+     * @param {Object} known - Masking state, see known()
+     * @returns {string} Masked text
+     */
+    maskText: function (text, known) {
+        const strings = Object.keys(known.strings).sort(function (a, b) { return b.length - a.length; });
+        if (!text || !strings.length) return text;
+        const pattern = new RegExp('(^|\\W)(' + strings.map(function (string) {
+            return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('|') + ')(?=\\W|$)', 'g');
+        return text.replace(pattern, function (match, before, string) {
+            return before + known.strings[string];
+        });
+    },
+
+    /**
+     * Serializes runtime state, values that cannot be serialized are described instead
+     * @param {Object} source - Object to serialize
+     * @returns {Object}
+     */
+    state: function (source) {
+        const result = {};
+        $.each(source, function (key, value) {
+            if (typeof value === 'function') return;
             try {
-                var specTask = game.def("Communication.VO::dStartSpecialistTaskVO", true);
-                specTask.subTaskID = subTaskId;
-                specTask.paramString = "";
-                specTask.uniqueID = uniqueId;
-                game.gi.SendServerAction(95, taskId, 0, 0, specTask);
-            } catch (e) { }
-        },
-        timedProduction: function (type, item, amount, stack, grid) {
-            try {
-                var dTPVO = game.def("Communication.VO::dTimedProductionVO", true);
-                dTPVO.productionType = type;
-                dTPVO.type_string = item;
-                dTPVO.amount = amount;
-                dTPVO.stacks = stack;
-                dTPVO.buildingGrid = grid;
-                game.gi.mClientMessages.SendMessagetoServer(91, game.gi.mCurrentViewedZoneID, dTPVO);
-            } catch (er) { console.error(er) }
-        },
-        uID: function (string) {
-            var arr = string.split('.');
-            var uID = game.def('Communication.VO.dUniqueID', !0);
-            uID.uniqueID1 = arr[0];
-            uID.uniqueID2 = arr[1];
-            return uID;
-        }
+                result[key] = JSON.parse(JSON.stringify(value));
+            } catch (e) { result[key] = '[unserializable: ' + String(value) + ']'; }
+        });
+        return result;
     },
-    friends: {
-        getFriends: function () {
-            return globalFlash.gui.mFriendsList.GetFilteredFriends("", true).filter(function (f) {
-                return f.username.indexOf('Deleted') === -1;
-            }).sort(function (a, b) {
-                return a.username.toLowerCase().localeCompare(b.username.toLowerCase());
-            });
-        },
-        isGuildMember: function (id) {
-            var result = false;
-            game.gi.GetCurrentPlayerGuild().members.toArray().forEach(function (member) {
-                if (result) return;
-                if (member.id === id)
-                    result = true;
+
+    /**
+     * Current queue: lanes with pending entries, waiting list and flags
+     * @returns {Object}
+     */
+    queue: function () {
+        const entries = function (list) {
+            return list.map(function (entry) { return aDiagnostics.state(entry); });
+        };
+        const lanes = {};
+        $.each(aQueue.lanes, function (name, lane) {
+            lanes[name] = entries(lane.queue.slice(lane.index));
+        });
+        return {
+            paused: aQueue.paused,
+            interval: aQueue.interval,
+            last: aQueue.last,
+            current: aQueue.current ? { lane: aQueue.current.lane, entry: aDiagnostics.state(aQueue.current.entry) } : null,
+            lanes: lanes,
+            waiting: entries(aQueue.waiting),
+            outbound: { deferred: aNet.pending(), dryRun: aSession.dryRun }
+        };
+    },
+
+    /**
+     * Writes the bundle
+     * @returns {string|null} Folder path, null on failure
+     */
+    create: function () {
+        try {
+            const now = new Date();
+            const stamp = '{0}{1}{2}-{3}{4}{5}'.format(now.getFullYear(), lz(now.getMonth() + 1), lz(now.getDate()),
+                lz(now.getHours()), lz(now.getMinutes()), lz(now.getSeconds()));
+            const dir = air.File.applicationDirectory.resolvePath('auto/diagnostics/' + stamp);
+            dir.createDirectory();
+            const write = function (name, data) {
+                aUtils.file.Write(dir.resolvePath(name).nativePath, JSON.stringify(data, null, 2));
+            };
+            write('info.json', {
+                script: auto.version,
+                created: now.toString(),
+                nickname: aUtils.getConfigNickname() || null,
+                settingsFile: aUtils.file.Path('settings'),
+                runtime: air.NativeApplication.nativeApplication.runtimeVersion,
+                os: air.Capabilities.os,
+                memory: air.System.privateMemory,
+                extensions: $.map(aExtensions.registry, function (ext, name) { return name + ' ' + (ext.version || ''); })
             });
-            return result;
-        },
-        getRandom: function (res_name) {
-            var friendList = globalFlash.gui.mFriendsList.GetFilteredFriends("", true).filter(function (f) {
-                return !f.onlineStatus && f.username.indexOf('Deleted') === -1;
-            }).sort(function (a, b) {
-                return b.playerLevel - a.playerLevel;
+            const known = aDiagnostics.known();
+            const saved = aUtils.file.Read(aUtils.file.Path('settings')) || aSettings.defaults;
+            write('settings.json', aDiagnostics.mask(saved, known));
+            write('session.json', aDiagnostics.mask(aDiagnostics.state(aSession), known));
+            write('queue.json', aDiagnostics.mask(aDiagnostics.queue(), known));
+            write('resources.json', aUtils.file.Read(aUtils.file.Path('resources')) || {});
+            write('probe.json', aDiagnostics.probe());
+
+            const logs = dir.resolvePath('logs');
+            logs.createDirectory();
+            const logPath = aConsoleLogger.getLogPath() || air.File.applicationDirectory.resolvePath('auto/logs/console.log').nativePath;
+            [logPath, logPath + '.1', aConsoleLogger.getJsonLogPath()].forEach(function (path) {
+                if (!path) return;
+                const file = new air.File(path);
+                if (file.exists) aUtils.file.Write(logs.resolvePath(file.name).nativePath, aDiagnostics.maskText(aUtils.file.readText(file), known));
             });
-            if (!friendList.length) return aUI.Alert('Come on! Get Some friends!!'), null;
-            friendList = friendList.slice(Math.ceil(friendList.length / 2));
-            if (res_name === 'FillDeposit_Fishfood')
-                return friendList[friendList.length - 1];
-            return friendList[Math.floor(Math.random() * friendList.length)];
+            console.info('Diagnostics bundle written to ' + dir.nativePath);
+            return dir.nativePath;
+        } catch (e) {
+            console.error('Diagnostics bundle error:', e);
+            return null;
         }
+    }
+}
+
+/**
+ * Settings Profiles
+ *
+ * Named snapshots of selected settings sections (auto/profiles[.nickname].json).
+ * Applying a profile overrides those sections, saves the settings and re-applies
+ * feature switches and tweaks without a reload.
+ *
+ * @namespace aProfiles
+ */
+const aProfiles = {
+    // Sections a profile may override
+    SECTIONS: ['Mail', 'Quests', 'Buildings', 'Explorers', 'Deposits', 'Collect', 'TransferToStore', 'Lootables', 'Tweaks', 'Schedule'],
+    // Settings section holding the autoStart flag of each feature
+    FEATURES: {
+        Explorers: 'Explorers',
+        Deposits: 'Deposits',
+        Buildings: 'Buildings',
+        Quests: 'Quests',
+        CollectPickups: 'Collect',
+        Mail: 'Mail',
+        FromStarToStore: 'TransferToStore',
+        OpenMysteryBoxs: 'Lootables'
     },
-    responders: {
-        openBox: function () {
-            return game.createResponder(
-                function (e, response) {
-                    try {
-                        response.data.data.items.source.forEach(function (item) {
-                            var name = item.resourceName_string !== "" ? item.resourceName_string : item.buffName_string;
-                            aUI.Alert('Congratulations, you got x{1} {0} from mystery box!'.format(aUtils.game.getText(name), item.amount),
-                                name);
-                        });
-                    } catch (e) { }
-                },
-                function () { aUI.Alert('Failed to open box!', 'ERROR') });
-        },
-        sendOfficeTrades: function () {
-            return game.createResponder(function (e, d) {
-                try {
-                    const data = d.data.data;
-                    var nextSlot = aTrade.office.nextSlotType(data);
-                    var nextCoinSlotPos = game.gi.mHomePlayer.mTradeData.getNextFreeSlotForType(2);
-                    $.each(aTrade.office.trades, function (key, trade) {
-                        if (trade.Live) return;
-                        const quest = key.split("#");
-                        if (aQuests.isTriggerFinished(quest[0], quest[1])) return;
-                        var data = {
-                            Send: trade.Send,
-                            Receive: [trade[0] === 'Fish' ? 'Stone' : 'Fish', 1],
-                            slotType: nextSlot,
-                            slotPos: nextSlot === 0 ? 0 : nextCoinSlotPos
-                        }
-                        const offer = "{0},{1}|{2},{3}|1".format(trade.Send[0], trade.Send[1], data.Receive[0], data.Receive[1]);
-                        aTrade.office.trades[key]["Offer"] = offer;
-                        if (aTrade.office.isTradeLive(data, offer, key)) return;
-                        aTrade.send(data, function () {
-                            try {
-                                var k = key;
-                                aTrade.office.trades[k].Live = true;
-                            } catch (e) { console.error(e) }
-                        });
-                        //});
-                        if (nextSlot === 2) {
-                            aTrade.office.coinSlots.push(nextCoinSlotPos);
-                            for (var i = 0; i < 9; i++) {
-                                if (aTrade.office.coinSlots.indexOf(i) === -1) {
-                                    nextCoinSlotPos = i;
-                                    break;
-                                }
-                            }
-                        } else if (nextSlot === 0) nextSlot = 2;
-                        aTrade.office.coinSlots = [];
-                    });
-                } catch (e) { }
+
+    path: function () {
+        var nickname = aUtils.getConfigNickname();
+        return aUtils.file.Path('profiles' + (nickname ? '.' + nickname : ''));
+    },
+
+    /**
+     * Reads the profiles file
+     * @returns {Object} {active, list: {name: {sections, updated}}}
+     */
+    read: function () {
+        const data = aUtils.file.Read(aProfiles.path());
+        return data && data.list ? data : { active: '', list: {} };
+    },
+
+    write: function (data) {
+        return aUtils.file.Write(aProfiles.path(), JSON.stringify(data, null, 2));
+    },
+
+    /**
+     * Saves the chosen sections of the current settings as a profile
+     * @param {string} name - Profile name
+     * @param {Array<string>} sections - Sections to include
+     * @returns {boolean}
+     */
+    save: function (name, sections) {
+        const data = aProfiles.read();
+        const profile = { sections: {}, updated: new Date().getTime() };
+        sections.forEach(function (section) {
+            if (aProfiles.SECTIONS.indexOf(section) !== -1)
+                profile.sections[section] = $.extend(true, {}, aSettings.defaults[section]);
+        });
+        data.list[name] = profile;
+        return aProfiles.write(data);
+    },
+
+    /**
+     * Deletes a profile
+     * @param {string} name - Profile name
+     * @returns {void}
+     */
+    remove: function (name) {
+        const data = aProfiles.read();
+        delete data.list[name];
+        if (data.active === name) data.active = '';
+        aProfiles.write(data);
+    },
+
+    /**
+     * Applies a profile: its sections replace the matching settings keys, then
+     * feature switches, tweaks and the menu are refreshed
+     * @param {string} name - Profile name
+     * @returns {boolean}
+     */
+    apply: function (name) {
+        try {
+            const data = aProfiles.read();
+            const profile = data.list[name];
+            if (!profile) return false;
+            $.each(profile.sections, function (section, values) {
+                if (!aSettings.defaults.hasOwnProperty(section)) return;
+                $.each(values, function (key, value) {
+                    aSettings.defaults[section][key] = $.isPlainObject(value) || $.isArray(value) ? $.extend(true, $.isArray(value) ? [] : {}, value) : value;
+                });
             });
-        },
-        buffOnFriend: function (res) {
-            if (!res) return null;
-            return game.createResponder(function () {
-                setTimeout(function () { aQueue.skip(); }, TIMEOUTS.ADVENTURE_TRAIN_UNITS_DELAY);
+            data.active = name;
+            aProfiles.write(data);
+            aSettings.save();
+            $.each(aUtils.game.autoStartFeatures(), function (feature, on) {
+                if (profile.sections.hasOwnProperty(aProfiles.FEATURES[feature]))
+                    aSession.setFeature(feature, !!on);
             });
-        },
-        checkOutbox: function (friendID) {
-            return game.createResponder(function (e, d) {
-                try {
-                    $.each(d.data.headers_collection, function (i, mail) {
-                        if (mail.reciepientId !== friendID) return;
-                        aTrade.complete(mail.id, mail.type, false);
-                    });
-                    aUI.updateStatus('Declining Outbox Trades', 'Quests');
-                } catch (e) {
-                    console.error('Outbox: Error ' + e.message);
-                    aQueue.repeat(6000);
+            aUtils.game.applyTweaks();
+            aUI.menu.init();
+            aUI.Alert('Profile "{0}" applied'.format(name), 'QUEST');
+            console.info('Settings profile applied: {0} ({1})'.format(name, Object.keys(profile.sections).join(', ')));
+            return true;
+        } catch (e) {
+            console.error('Profile apply error:', e);
+            return false;
+        }
+    },
+
+    /**
+     * Automation submenu entries
+     * @returns {Array} Menu JSON items
+     */
+    menuItems: function () {
+        const data = aProfiles.read();
+        return Object.keys(data.list).sort().map(function (name) {
+            return {
+                label: (name === data.active ? '-> ' : '') + name, onSelect: function () {
+                    aProfiles.apply(name);
                 }
+            };
+        }).concat([
+            { type: 'separator' },
+            { label: 'Manage Profiles', onSelect: aUI.modals.Profiles }
+        ]);
+    }
+}
+
+/**
+ * Configuration Bundles
+ *
+ * Packs selected settings sections, adventure templates (see aTemplates.pack)
+ * and the explorer template into one file to share between accounts. Import
+ * previews the changes, gives templates new ids and merges the settings leaf
+ * by leaf, leaving sections that are not in the bundle untouched.
+ *
+ * @namespace aBundle
+ */
+const aBundle = {
+    FORMAT: 1,
+    // Machine or session specific keys that are never exported
+    excluded: ['Adventures.templates', 'Adventures.lastAdv', 'Explorers.template'],
+
+    /**
+     * Settings sections that can be exported
+     * @returns {Array<string>}
+     */
+    sections: function () {
+        return Object.keys(aSettings.defaults).filter(function (key) {
+            return $.isPlainObject(aSettings.defaults[key]);
+        });
+    },
+
+    /**
+     * Flattens an object to its leaf values, arrays and empty objects are leaves
+     * @param {*} value - Value to flatten
+     * @param {Array<string>} path - Path of value
+     * @param {Array<Object>} [out] - Accumulator
+     * @returns {Array<Object>} {path, value}
+     */
+    flatten: function (value, path, out) {
+        out = out || [];
+        if ($.isPlainObject(value) && !$.isEmptyObject(value)) {
+            $.each(value, function (key, child) {
+                aBundle.flatten(child, path.concat(key), out);
             });
-        },
-        checkInbox: function (friendID) {
-            return game.createResponder(function (e, d) {
-                try {
-                    $.each(d.data.headers_collection, function (i, mail) {
-                        if (mail.senderId !== friendID) return;
-                        var remove = game.createResponder(function (e, d) {
-                            delete aResources.gather.list[d.data.data.returnedItem.name_string];
-                        });
-                        aTrade.complete(mail.id, mail.type, true, remove);
-                    });
-                    aUI.updateStatus('Completing Trades', 'Quests');
-                } catch (e) {
-                    console.error('Inbox: Error ' + e.message);
-                    aQueue.repeat(6000);
-                }
+        } else {
+            out.push({ path: path, value: value });
+        }
+        return out;
+    },
+
+    /**
+     * Builds a bundle from the current configuration
+     * @param {Object} parts - {sections: Array<string>, templates: boolean, explorers: boolean}
+     * @returns {Object} Bundle data
+     */
+    create: function (parts) {
+        const bundle = {
+            bundle: aBundle.FORMAT,
+            version: auto.version,
+            schemaVersion: aSettings.defaults.schemaVersion,
+            created: new Date().getTime(),
+            settings: {},
+            templates: [],
+            explorerTemplate: null
+        };
+        (parts.sections || []).forEach(function (section) {
+            bundle.settings[section] = $.extend(true, {}, aSettings.defaults[section]);
+        });
+        aBundle.excluded.forEach(function (key) {
+            const path = key.split('.');
+            if (bundle.settings[path[0]]) delete bundle.settings[path[0]][path[1]];
+        });
+        if (parts.templates)
+            bundle.templates = aTemplates.pack(aSettings.defaults.Adventures.templates);
+        if (parts.explorers && aSettings.defaults.Explorers.template) {
+            const data = aUtils.file.Read(aSettings.defaults.Explorers.template);
+            if (data) bundle.explorerTemplate = {
+                name: aSettings.defaults.Explorers.template.split('\\').pop().split('/').pop(),
+                data: data
+            };
+        }
+        return bundle;
+    },
+
+    /**
+     * Writes a bundle through the save dialog
+     * @param {Object} parts - See create()
+     * @returns {void}
+     */
+    exportBundle: function (parts) {
+        const now = new Date();
+        const stamp = '{0}{1}{2}'.format(now.getFullYear(), lz(now.getMonth() + 1), lz(now.getDate()));
+        aUtils.file.Export('autotso-bundle-{0}.json'.format(stamp), JSON.stringify(aBundle.create(parts), null, 2));
+    },
+
+    /**
+     * Compares a bundle with the current configuration
+     * @param {Object} bundle - Bundle data, settings already migrated
+     * @returns {Object} {changes: [{section, path, from, to}], skipped: [section], templates: [{entry, content, duplicate}]}
+     */
+    plan: function (bundle) {
+        const plan = { changes: [], skipped: [], templates: [], explorerTemplate: bundle.explorerTemplate || null };
+        $.each(bundle.settings || {}, function (section, values) {
+            if (!$.isPlainObject(aSettings.defaults[section])) return plan.skipped.push(section);
+            aBundle.flatten(values, [section]).forEach(function (leaf) {
+                if (aBundle.excluded.indexOf(leaf.path.slice(0, 2).join('.')) !== -1) return;
+                const current = leaf.path.reduce(function (node, key) {
+                    return node && typeof node === 'object' ? node[key] : undefined;
+                }, aSettings.defaults);
+                if (JSON.stringify(current) !== JSON.stringify(leaf.value))
+                    plan.changes.push({ section: section, path: leaf.path, from: current, to: leaf.value });
+            });
+        });
+        const hashes = aSettings.defaults.Adventures.templates.map(function (entry) {
+            const content = aUtils.file.Read(aUtils.file.getPath(0, entry.id));
+            return content ? content.hash : null;
+        });
+        (bundle.templates || []).forEach(function (template) {
+            if (!template || !template.entry || !template.content) return;
+            plan.templates.push({
+                entry: template.entry,
+                content: template.content,
+                duplicate: !!template.content.hash && hashes.indexOf(template.content.hash) !== -1
             });
+        });
+        return plan;
+    },
+
+    /**
+     * Reads and checks a bundle file, older settings are run through the schema migrations
+     * @param {string} path - Bundle file
+     * @returns {Object|null} Bundle data
+     */
+    read: function (path) {
+        const bundle = aUtils.file.Read(path);
+        if (!bundle || bundle.bundle !== aBundle.FORMAT) {
+            aUI.Alert('Not a configuration bundle: ' + path, 'ERROR');
+            return null;
+        }
+        try {
+            aSettings.upgrade(bundle.settings || {}, bundle.schemaVersion);
+        } catch (e) {
+            console.error('Bundle migration error:', e);
+            aUI.Alert('Bundle settings could not be migrated, see the log', 'ERROR');
+            return null;
         }
+        return bundle;
+    },
+
+    /**
+     * Applies an import plan: writes new templates under fresh ids, stores the
+     * explorer template in auto/explorers and merges the changed settings
+     * @param {Object} plan - Result of plan()
+     * @returns {void}
+     */
+    apply: function (plan) {
+        const installed = [];
+        plan.templates.forEach(function (template) {
+            if (template.duplicate) return;
+            const id = aTemplates.install(template);
+            if (id) installed.push(id);
+        });
+        if (plan.explorerTemplate) {
+            const path = aUtils.file.Path('explorers/' + aUtils.sanitizeFilename(plan.explorerTemplate.name.replace(/\.json$/i, '')));
+            if (aUtils.file.Write(path, JSON.stringify(plan.explorerTemplate.data, null, 2)))
+                aSettings.defaults.Explorers.template = path;
+        }
+        plan.changes.forEach(function (change) {
+            var node = aSettings.defaults;
+            change.path.slice(0, -1).forEach(function (key) {
+                if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+                node = node[key];
+            });
+            node[change.path[change.path.length - 1]] = change.to && typeof change.to === 'object' ? $.extend(true, $.isArray(change.to) ? [] : {}, change.to) : change.to;
+        });
+        aSettings.save();
+        aUtils.game.applyTweaks();
+        aUI.menu.init();
+        console.info('Bundle imported: {0} settings changed, templates installed: {1}{2}'.format(
+            plan.changes.length,
+            installed.join(', ') || 'none',
+            plan.explorerTemplate ? ', explorer template ' + aSettings.defaults.Explorers.template : ''
+        ));
+        aUI.Alert('Bundle imported: {0} settings, {1} templates'.format(plan.changes.length, installed.length), 'QUEST');
     }
 }
-// ==================== UI & Menu ====================
-const aUI = {
-    menu: {
-        Progress: 0,
-        Timer: null,
-        SelectedAdventure: null,
-        initItem: function (name, label, enabled) {
+
+/**
+ * Settings History
+ *
+ * Rolling snapshots of the saved settings in auto/history[.nickname]/<time>.json.
+ * A snapshot is written by aSettings.save() only when the content changed and
+ * the oldest are deleted beyond Auto.SettingsHistory (0 = off).
+ *
+ * @namespace aHistory
+ */
+const aHistory = {
+    // Content of the newest snapshot, null until read from disk
+    last: null,
+
+    /**
+     * History directory of the current config
+     * @returns {air.File}
+     */
+    dir: function () {
+        var nickname = aUtils.getConfigNickname();
+        return air.File.applicationDirectory.resolvePath('auto/history' + (nickname ? '.' + nickname : ''));
+    },
+
+    /**
+     * Lists snapshots, newest first
+     * @returns {Array<number>} Snapshot times
+     */
+    list: function () {
+        try {
+            const dir = aHistory.dir();
+            if (!dir.exists) return [];
+            return dir.getDirectoryListing().map(function (file) { return file.name; })
+                .filter(function (name) { return /^\d+\.json$/.test(name); })
+                .map(function (name) { return parseInt(name); })
+                .sort(function (a, b) { return b - a; });
+        } catch (e) { return []; }
+    },
+
+    path: function (time) {
+        return aHistory.dir().resolvePath(time + '.json').nativePath;
+    },
+
+    /**
+     * Reads a snapshot
+     * @param {number} time - Snapshot time
+     * @returns {Object|boolean} Settings data, false if unreadable
+     */
+    read: function (time) {
+        return aUtils.file.Read(aHistory.path(time));
+    },
+
+    /**
+     * Stores a snapshot if the settings changed since the last one
+     * @param {string} data - Serialized settings as written to disk
+     * @returns {void}
+     */
+    record: function (data) {
+        try {
+            const keep = aSettings.defaults.Auto.SettingsHistory;
+            if (!keep) return;
+            if (aHistory.last === null) {
+                const newest = aHistory.list()[0];
+                aHistory.last = newest ? aUtils.file.Read(aHistory.path(newest), true) || '' : '';
+            }
+            if (data === aHistory.last) return;
+            const time = new Date().getTime();
+            if (!aUtils.file.Write(aHistory.path(time), data)) return;
+            aHistory.last = data;
+            aHistory.list().slice(keep).forEach(function (old) {
+                aUtils.file.Delete(aHistory.path(old));
+            });
+        } catch (e) { console.error('Settings history error:', e); }
+    },
+
+    /**
+     * Lists leaf values that differ between two settings objects
+     * @param {Object} from - Older settings
+     * @param {Object} to - Newer settings
+     * @returns {Array<Object>} {section, path, from, to}
+     */
+    diff: function (from, to) {
+        const changes = [];
+        const before = {};
+        aBundle.flatten(from || {}, []).forEach(function (leaf) {
+            before[leaf.path.join('.')] = leaf;
+        });
+        aBundle.flatten(to || {}, []).forEach(function (leaf) {
+            const key = leaf.path.join('.');
+            const old = before[key];
+            delete before[key];
+            if (!old || JSON.stringify(old.value) !== JSON.stringify(leaf.value))
+                changes.push({ section: leaf.path[0], path: leaf.path, from: old ? old.value : undefined, to: leaf.value });
+        });
+        $.each(before, function (key, leaf) {
+            changes.push({ section: leaf.path[0], path: leaf.path, from: leaf.value, to: undefined });
+        });
+        return changes;
+    },
+
+    /**
+     * Restores a snapshot, fully or a single section
+     * @param {number} time - Snapshot time
+     * @param {string} [section] - Only restore this section
+     * @returns {boolean}
+     */
+    restore: function (time, section) {
+        const data = aHistory.read(time);
+        if (!data) {
+            aUI.Alert('Settings snapshot could not be read', 'ERROR');
+            return false;
+        }
+        try {
+            aSettings.upgrade(data);
+        } catch (e) {
+            console.error('Settings history migration error:', e);
+            return false;
+        }
+        $.each(data, function (key, value) {
+            if (section && key !== section) return;
+            if (!$.isPlainObject(value) || !$.isPlainObject(aSettings.defaults[key])) return;
+            aSettings.defaults[key] = $.extend(true, {}, value);
+        });
+        aSettings.save(true);
+        aUtils.game.applyTweaks();
+        aUI.menu.init();
+        console.info('Settings restored from snapshot {0}{1}'.format(new Date(time).toLocaleString(), section ? ' (' + section + ')' : ''));
+        return true;
+    }
+}
+
+/**
+ * Adventure Template Files
+ *
+ * Export and import of saved adventures (Adventures.templates). Exported
+ * templates carry the home-load and step template files they reference, an
+ * import writes them back under auto/templates/ and registers new entries.
+ *
+ * @namespace aTemplates
+ */
+const aTemplates = {
+    FORMAT: 1,
+
+    path: function (id) {
+        return aUtils.file.getPath(0, id);
+    },
+
+    /**
+     * Template schema v2: {schema: 2, name, hash, steps: [{name, file?, data?, ...}]}
+     * Steps are executed by aAdventure.auto.execStep[name]. "data" is the kind of
+     * step data: 'army' = {generalId: {name, type, army, target?}} read from "file",
+     * 'item' = key in AdventureItems.json, 'buff' = optional buff name.
+     */
+    SCHEMA_VERSION: 2,
+    STEPS: {
+        InHomeLoadGenerals: { data: 'army', file: true },
+        StartAdventure: {},
+        SendGeneralsToAdventure: {},
+        UseSpeedBuff: { data: 'buff' },
+        StarGenerals: {},
+        WaitForDeparture: {},
+        VisitAdventure: {},
+        CollectPickups: {},
+        ReturnHome: {},
+        ProduceItem: { data: 'item' },
+        ApplyBuff: { data: 'item' },
+        AdventureTemplate: { data: 'army', file: true },
+        LoadGeneralsToEnd: {}
+    },
+
+    /**
+     * Upgrades template content to the current schema, v1 templates had no schema field
+     * @param {Object} content - Template content, changed in place
+     * @returns {Object} content
+     */
+    upgrade: function (content) {
+        if (content && !content.schema) content.schema = aTemplates.SCHEMA_VERSION;
+        return content;
+    },
+
+    /**
+     * Checks a template against the schema and, where possible, the game state
+     * Generals are checked on the home island, targets only while on that adventure
+     * @param {Object} content - Template content
+     * @returns {Array<Object>} {level: 'error'|'warning', step, message}, step is the 1-based step number or 0
+     */
+    lint: function (content) {
+        const issues = [];
+        var add = function (level, step, message) {
+            issues.push({ level: level, step: step, message: message });
+        };
+        if (!content || !$.isArray(content.steps)) {
+            add('error', 0, 'Template has no steps');
+            return issues;
+        }
+        if (content.schema && content.schema > aTemplates.SCHEMA_VERSION)
+            add('warning', 0, 'Template schema v{0} is newer than this script (v{1})'.format(content.schema, aTemplates.SCHEMA_VERSION));
+        if (!content.name) add('error', 0, 'Adventure name is missing');
+        var items = null;
+        try { items = aAdventure.data.getItems(content.name); } catch (e) { }
+        var owned = null;
+        try {
+            if (game.gi.isOnHomzone())
+                owned = aSpecialists.getSpecialists(0, false).map(function (spec) { return spec.GetUniqueID().toKeyString(); });
+        } catch (e) { }
+        var onAdventure = false;
+        try {
+            const zone = aAdventure.info.getActiveAdvetureID(content.name);
+            onAdventure = zone !== 0 && game.gi.mCurrentViewedZoneID === zone;
+        } catch (e) { }
+
+        content.steps.forEach(function (step, i) {
+            const number = i + 1;
+            const def = step && aTemplates.STEPS[step.name];
+            if (!def || !aAdventure.auto.execStep[step.name]) {
+                return add('error', number, 'Unknown step "{0}"'.format(step ? step.name : step));
+            }
+            if (def.file && !step.file) add('warning', number, 'No template file referenced');
+            if (def.data === 'army') {
+                if (!$.isPlainObject(step.data) || $.isEmptyObject(step.data))
+                    return add('error', number, 'Missing data' + (step.file ? ' (load {0})'.format(step.file) : ''));
+                $.each(step.data, function (id, item) {
+                    const who = (item && item.name) || id;
+                    // Battle buffs are applied on a target and carry no army
+                    if (item && item.type === 'buff') {
+                        if (!item.name) add('error', number, 'Buff {0} has no buff name'.format(id));
+                        if (!item.target) add('warning', number, 'Buff {0} has no target'.format(who));
+                        return;
+                    }
+                    if (!item || !$.isPlainObject(item.army)) add('error', number, 'General {0} has no army'.format(who));
+                    if (step.name === 'InHomeLoadGenerals' && owned && owned.indexOf(id) === -1)
+                        add('warning', number, 'General {0} ({1}) is not on your home island'.format(who, id));
+                    if (step.name === 'AdventureTemplate' && item && item.target && onAdventure) {
+                        const building = game.zone.GetBuildingFromGridPosition(item.target);
+                        if (!building || building.getPlayerID() !== -1)
+                            add('warning', number, 'General {0} targets grid {1} which has no enemy'.format(who, item.target));
+                    }
+                });
+            }
+            if (def.data === 'item') {
+                if (!step.data) add('error', number, 'Missing item');
+                else if (items && !items[step.data]) add('error', number, 'Item "{0}" is not in AdventureItems.json for {1}'.format(step.data, content.name));
+                else if (!items) add('warning', number, 'AdventureItems.json has no entry for ' + content.name);
+            }
+        });
+        if (content.steps.length && content.steps[0].name !== 'InHomeLoadGenerals')
+            add('warning', 1, 'First step should be InHomeLoadGenerals');
+        return issues;
+    },
+
+    /**
+     * Formats lint issues as text lines
+     * @param {Array<Object>} issues - Result of lint()
+     * @returns {string}
+     */
+    report: function (issues) {
+        return issues.map(function (issue) {
+            return '{0}{1}: {2}'.format(issue.level === 'error' ? 'Error' : 'Warning', issue.step ? ' step ' + issue.step : '', issue.message);
+        }).join('\n');
+    },
+
+    /**
+     * Reads saved adventures with their referenced files inlined
+     * Step data is refreshed from the referenced file when it is still readable
+     * @param {Array<Object>} entries - Adventures.templates entries
+     * @returns {Array<Object>} {entry, content}
+     */
+    pack: function (entries) {
+        const packed = [];
+        entries.forEach(function (entry) {
+            const content = aUtils.file.Read(aTemplates.path(entry.id));
+            if (!content) return console.warn('Template {0} ({1}) is missing, skipped'.format(entry.label, entry.id));
+            $.each(content.steps || [], function (i, step) {
+                if (!step.file) return;
+                const data = aUtils.file.Read(step.file);
+                if (data) step.data = data;
+                else if (!step.data) console.warn('Template {0}: {1} is missing and has no saved data'.format(entry.label, step.file));
+            });
+            packed.push({ entry: $.extend({}, entry), content: content });
+        });
+        return packed;
+    },
+
+    /**
+     * Writes a packed template and its step files under auto/templates/ and registers it
+     * @param {Object} template - {entry, content} from pack()
+     * @param {number} [id] - Id to use, defaults to a free time based id
+     * @returns {number|null} New id, null on failure
+     */
+    install: function (template, id) {
+        id = id || new Date().getTime();
+        while (aSettings.defaults.Adventures.templates.some(function (entry) { return entry.id === id; })) id++;
+        const content = aTemplates.upgrade($.extend(true, {}, template.content));
+        var failed = false;
+        $.each(content.steps || [], function (i, step) {
+            if (!step.file || !step.data) return;
+            const name = step.file.split('\\').pop().split('/').pop().replace(/\.[^.]*$/, '');
+            const path = aUtils.file.getPath(0, 'files/{0}-{1}-{2}'.format(id, i, aUtils.sanitizeFilename(name)));
+            if (aUtils.file.Write(path, JSON.stringify(step.data, null, 2))) step.file = path;
+            else failed = true;
+        });
+        if (failed || !aUtils.file.Write(aTemplates.path(id), JSON.stringify(content, null, 2))) {
+            console.error('Template {0} could not be written'.format(template.entry.label || template.entry.name));
+            return null;
+        }
+        aSettings.defaults.Adventures.templates.push($.extend({}, template.entry, {
+            name: content.name || template.entry.name,
+            id: id
+        }));
+        return id;
+    },
+
+    /**
+     * Summary of a saved adventure for the library
+     * @param {Object} entry - Adventures.templates entry
+     * @returns {Object|null} {name, label, generals, units, steps, tags}, null if the file is missing
+     */
+    info: function (entry) {
+        const content = aUtils.file.Read(aTemplates.path(entry.id));
+        if (!content) return null;
+        const generals = [];
+        var units = 0;
+        $.each(content.steps || [], function (i, step) {
+            if (['InHomeLoadGenerals', 'AdventureTemplate'].indexOf(step.name) === -1 || !$.isPlainObject(step.data)) return;
+            $.each(step.data, function (id, item) {
+                if (!item || item.type === 'buff') return;
+                const name = item.name || id;
+                if (generals.indexOf(name) === -1) generals.push(name);
+                $.each(item.army || {}, function (unit, amount) { units += amount; });
+            });
+        });
+        return {
+            name: content.name || entry.name,
+            label: entry.label || '',
+            generals: generals,
+            units: units,
+            steps: (content.steps || []).length,
+            tags: entry.tags || []
+        };
+    },
+
+    /**
+     * Run history per saved adventure from the activity ledger
+     * @returns {Object} {id: {runs, last, average}}
+     */
+    stats: function () {
+        const stats = {};
+        aLedger.days().forEach(function (day) {
+            aLedger.load(day).records.forEach(function (record) {
+                if (record.type !== 'adventure' || !record.template) return;
+                const entry = stats[record.template] = stats[record.template] || { runs: 0, last: 0, timed: 0, total: 0 };
+                entry.runs++;
+                entry.last = Math.max(entry.last, record.time);
+                if (record.duration) {
+                    entry.timed++;
+                    entry.total += record.duration;
+                }
+            });
+        });
+        $.each(stats, function (id, entry) {
+            entry.average = entry.timed ? entry.total / entry.timed : null;
+        });
+        return stats;
+    },
+
+    /**
+     * Template files in auto/templates/ that no saved adventure points to
+     * @returns {Array<string>} Ids
+     */
+    orphans: function () {
+        try {
+            const dir = new air.File(aTemplates.path('x')).parent;
+            if (!dir.exists) return [];
+            const known = aSettings.defaults.Adventures.templates.map(function (entry) { return String(entry.id); });
+            return dir.getDirectoryListing().map(function (file) { return file.name; })
+                .filter(function (name) { return /^\d+\.json$/.test(name); })
+                .map(function (name) { return name.replace('.json', ''); })
+                .filter(function (id) { return known.indexOf(id) === -1; });
+        } catch (e) { return []; }
+    },
+
+    /**
+     * Copies a saved adventure, step files included
+     * @param {number} index - Index in Adventures.templates
+     * @returns {number|null} New id
+     */
+    duplicate: function (index) {
+        const entry = aSettings.defaults.Adventures.templates[index];
+        const packed = entry ? aTemplates.pack([entry])[0] : null;
+        if (!packed) return null;
+        packed.entry = $.extend({}, entry, { label: (entry.label || loca.GetText('ADN', entry.name)) + ' (copy)' });
+        const id = aTemplates.install(packed);
+        aSettings.save();
+        return id;
+    },
+
+    /**
+     * Deletes a saved adventure with the step files written for it
+     * @param {number} index - Index in Adventures.templates
+     * @returns {void}
+     */
+    remove: function (index) {
+        const entry = aSettings.defaults.Adventures.templates[index];
+        if (!entry) return;
+        aUtils.file.Delete(aTemplates.path(entry.id));
+        try {
+            const dir = new air.File(aTemplates.path('files/x')).parent;
+            if (dir.exists) dir.getDirectoryListing().forEach(function (file) {
+                if (file.name.indexOf(entry.id + '-') === 0) aUtils.file.Delete(file.nativePath);
+            });
+        } catch (e) { console.error('Template files cleanup error:', e); }
+        aSettings.defaults.Adventures.templates.splice(index, 1);
+        aSettings.save();
+    },
+
+    /**
+     * Exports saved adventures through the save dialog
+     * @param {Array<number>} indexes - Indexes in Adventures.templates
+     * @returns {void}
+     */
+    exportTemplates: function (indexes) {
+        const entries = indexes.map(function (index) { return aSettings.defaults.Adventures.templates[index]; }).filter(Boolean);
+        if (!entries.length) return aUI.Alert('Select at least one adventure', 'ERROR');
+        const name = entries.length === 1 ? aUtils.sanitizeFilename(entries[0].label || entries[0].name) : entries.length + '-adventures';
+        aUtils.file.Export('autotso-templates-{0}.json'.format(name), JSON.stringify({
+            templates: aTemplates.FORMAT,
+            version: auto.version,
+            created: new Date().getTime(),
+            items: aTemplates.pack(entries)
+        }, null, 2));
+    },
+
+    /**
+     * Imports an export file, every template gets a new id
+     * @param {string} path - Export file
+     * @returns {void}
+     */
+    importTemplates: function (path) {
+        const data = aUtils.file.Read(path);
+        if (!data || data.templates !== aTemplates.FORMAT || !$.isArray(data.items))
+            return aUI.Alert('Not an adventure template export: ' + path, 'ERROR');
+        const imported = [];
+        data.items.forEach(function (template) {
+            if (!template || !template.entry || !template.content) return;
+            if (aTemplates.install(template)) imported.push(template.entry.label || template.entry.name);
+        });
+        aSettings.save();
+        aUI.modals.settings.loadSavedAdventures();
+        aUI.menu.init();
+        console.info('Imported adventure templates: ' + imported.join(', '));
+        aUI.Alert('Imported {0} of {1} adventures'.format(imported.length, data.items.length), imported.length ? 'QUEST' : 'ERROR');
+    },
+
+    /**
+     * Asks for an export file and imports it
+     * @returns {void}
+     */
+    select: function () {
+        aUtils.file.Select(function (event) {
+            aTemplates.importTemplates(event.currentTarget.nativePath);
+        });
+    }
+}
+
+/**
+ * Adventure Pre-flight Check
+ *
+ * Readiness report built by startAutoAdventure() before a template is started:
+ * generals, units, adventure items, speed buff, Black Vortex and the resources
+ * (population included) needed to train or produce what is missing.
+ *
+ * @namespace aPreflight
+ */
+const aPreflight = {
+    /**
+     * Units a template needs: per unit type the total of all army steps (waves)
+     * @param {Object} content - Template content
+     * @returns {Object} {unit: amount}
+     */
+    requiredUnits: function (content) {
+        const required = {};
+        content.steps.forEach(function (step) {
+            if (['InHomeLoadGenerals', 'AdventureTemplate'].indexOf(step.name) === -1 || !$.isPlainObject(step.data)) return;
+            $.each(step.data, function (id, item) {
+                $.each((item && item.army) || {}, function (unit, amount) {
+                    required[unit] = (required[unit] || 0) + amount;
+                });
+            });
+        });
+        return required;
+    },
+
+    /**
+     * Adds the production costs of an item to a resource total
+     * @param {string} item - Unit or buff name
+     * @param {number} amount - Amount to produce
+     * @param {Object} need - {resource: amount}, updated
+     * @returns {boolean} False if the item can not be produced
+     */
+    addCosts: function (item, amount, need) {
+        const info = aBuildings.production.info(item);
+        if (!info || !info[2]) return false;
+        const batches = info[3] ? Math.ceil(amount / info[3]) : amount;
+        $.each(info[2], function (i, res) {
+            need[res.name_string] = (need[res.name_string] || 0) + res.amount * batches;
+        });
+        return true;
+    },
+
+    available: function (resource) {
+        return resource === 'Population' ? game.getResources().GetFree() : game.getResources().GetResourceAmount(resource);
+    },
+
+    /**
+     * Builds the readiness report of a template
+     * @param {Object} content - Template content
+     * @param {number} runs - Planned repetitions, consumables are counted for every run
+     * @returns {Object} {ready, checks: [{level: 'ok'|'warning'|'error', label, detail}], fixes: [string]}
+     */
+    check: function (content, runs) {
+        const report = { ready: true, checks: [], fixes: [] };
+        const need = {};
+        var add = function (level, label, detail, fix) {
+            report.checks.push({ level: level, label: label, detail: detail });
+            if (fix) report.fixes.push(fix);
+            if (level === 'error') report.ready = false;
+        };
+        var name = function (item) { return aUtils.game.getText(item) || item; };
+        runs = runs || 1;
+
+        if (aAdventure.info.getActiveAdvetureID(content.name)) {
+            add('ok', 'Adventure', 'Already running, generals and units are not checked');
+        } else if (!game.gi.isOnHomzone()) {
+            add('warning', 'Location', 'Not on the home island, generals and units are not checked', 'Return to the home island and check again');
+        } else {
+            // Generals
+            const owned = {};
+            game.getSpecialists().forEach(function (spec) {
+                if (aSpecialists.isOwnedByPlayer(spec)) owned[spec.GetUniqueID().toKeyString()] = spec;
+            });
+            const home = content.steps.filter(function (step) { return step.name === 'InHomeLoadGenerals'; })[0];
+            var ready = 0;
+            $.each((home && home.data) || {}, function (id, item) {
+                const label = (item && item.name) || id;
+                if (!owned[id])
+                    add('error', 'General ' + label, 'Not found on the home island', 'Bring {0} home or re-create the home load template'.format(label));
+                else if (owned[id].IsInUse())
+                    add('error', 'General ' + label, 'Busy', 'Wait until {0} is idle'.format(label));
+                else
+                    ready++;
+            });
+            if (ready) add('ok', 'Generals', '{0} ready'.format(ready));
+
+            // Units
+            aAdventure.army.updateArmy();
+            const required = aPreflight.requiredUnits(content);
+            var missingUnits = 0;
+            $.each(required, function (unit, amount) {
+                const lack = amount - (armyInfo.total[unit] || 0);
+                if (lack <= 0) return;
+                missingUnits++;
+                if (aPreflight.addCosts(unit, lack, need))
+                    add('warning', 'Units ' + name(unit), '{0} of {1} available, missing units are trainable'.format(armyInfo.total[unit] || 0, amount), 'Train {0} {1}'.format(lack, name(unit)));
+                else
+                    add('error', 'Units ' + name(unit), '{0} of {1} available and it can not be trained'.format(armyInfo.total[unit] || 0, amount), 'Get {0} more {1}'.format(lack, name(unit)));
+            });
+            if (!missingUnits && !$.isEmptyObject(required))
+                add('ok', 'Units', '{0} units available'.format(aUtils.format.num($.map(required, function (amount) { return amount; }).reduce(function (a, b) { return a + b; }, 0))));
+        }
+
+        // Adventure items used by ApplyBuff and produced by ProduceItem
+        var items = null;
+        try { items = aAdventure.data.getItems(content.name); } catch (e) { }
+        const buffs = {};
+        content.steps.forEach(function (step) {
+            if (['ApplyBuff', 'ProduceItem'].indexOf(step.name) === -1 || !step.data) return;
+            const item = items && items[step.data];
+            if (!item) return add('error', 'Item ' + step.data, 'Not in AdventureItems.json', 'Fix the {0} step of the template'.format(step.name));
+            const buff = aBuffs.fullName(step.data);
+            buffs[buff] = Math.max(buffs[buff] || 0, item.amount || (item.grids || []).length);
+        });
+        $.each(buffs, function (buff, perRun) {
+            const total = perRun * runs;
+            const have = aBuffs.getBuffAmount(buff);
+            if (have >= total) return add('ok', name(buff), '{0} of {1}'.format(have, total));
+            if (aPreflight.addCosts(buff, total - have, need))
+                add('warning', name(buff), '{0} of {1}, the rest can be produced'.format(have, total), 'Produce {0} {1}'.format(total - have, name(buff)));
+            else
+                add('error', name(buff), '{0} of {1} and it can not be produced'.format(have, total), 'Get {0} more {1}'.format(total - have, name(buff)));
+        });
+
+        // Speed buff and Black Vortex, the adventure runs on without them
+        const speedSteps = content.steps.filter(function (step) { return step.name === 'UseSpeedBuff'; });
+        if (speedSteps.length) {
+            const speedBuff = speedSteps[0].data || aSettings.defaults.Adventures.speedBuff;
+            const have = speedBuff ? aBuffs.getBuffAmount(speedBuff) : 0;
+            const total = speedSteps.length * runs;
+            if (!speedBuff) add('warning', 'Speed buff', 'None selected', 'Select a speed buff in the settings');
+            else if (have < total) add('warning', name(speedBuff), '{0} of {1}'.format(have, total), 'Get {0} more {1}'.format(total - have, name(speedBuff)));
+            else add('ok', name(speedBuff), '{0} of {1}'.format(have, total));
+        }
+        if (aSettings.defaults.Adventures.blackVortex && aAdventure.data.getAdventureType(content.name) !== 'Scenario') {
+            const vortex = 'PropagationBuff_AdventureZoneTravelBoost_BlackTree';
+            const have = aBuffs.getBuffAmount(vortex);
+            if (have < runs) add('warning', 'Black Vortex', '{0} of {1}'.format(have, runs), 'Get {0} more Black Vortex or turn it off'.format(runs - have));
+            else add('ok', 'Black Vortex', '{0} of {1}'.format(have, runs));
+        }
+
+        // Resources and population for training and production
+        $.each(need, function (resource, amount) {
+            const have = aPreflight.available(resource);
+            if (have >= amount) return add('ok', name(resource), '{0} of {1} needed'.format(aUtils.format.num(have), aUtils.format.num(amount)));
+            const lack = amount - have;
+            var fix = 'Collect {0} more {1}'.format(aUtils.format.num(lack), name(resource));
+            if (resource === 'Population') {
+                const star = aBuffs.getBuffAmount(['AddResource', 'Population']);
+                fix = star ? 'Apply {0} Population from the star menu'.format(Math.min(star, lack)) : 'Free or build {0} more population'.format(lack);
+            }
+            add('error', name(resource), '{0} of {1} needed'.format(aUtils.format.num(have), aUtils.format.num(amount)), fix);
+        });
+        return report;
+    }
+}
+
+/**
+ * Feature Scheduler
+ *
+ * Restricts automation features to configured time windows and conditions
+ * (aSettings.defaults.Schedule). Checked by aQueue.run() before each manager.
+ *
+ * @namespace aSchedule
+ */
+const aSchedule = {
+    // Last result per feature, used to log only when a feature enters/leaves its schedule
+    state: {},
+
+    /**
+     * Extra conditions a feature can be bound to
+     */
+    conditions: {
+        dailyQuestsOpen: {
+            label: 'While daily quests are open',
+            check: function () {
+                return aQuests.getQuests(/^Dai[A-Z]/).some(function (quest) { return !quest.isFinished(); });
+            }
+        }
+    },
+
+    /**
+     * Parses a "HH:MM-HH:MM" window, hours 0-23 and minutes 0-59
+     * @param {string} text - Window text
+     * @returns {Array|null} [startMinutes, endMinutes] or null if invalid
+     */
+    parse: function (text) {
+        const match = /^\s*(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/.exec(text || '');
+        if (!match) return null;
+        const parts = match.slice(1).map(function (part) { return parseInt(part); });
+        if (parts[0] > 23 || parts[2] > 23 || parts[1] > 59 || parts[3] > 59) return null;
+        return [parts[0] * 60 + parts[1], parts[2] * 60 + parts[3]];
+    },
+
+    /**
+     * Checks if a time is inside a window, windows ending before they start wrap over midnight
+     * @param {string} text - Window text ("22:00-06:00")
+     * @param {Date} [date] - Time to check, defaults to now
+     * @returns {boolean}
+     */
+    inWindow: function (text, date) {
+        const range = aSchedule.parse(text);
+        if (!range) return false;
+        date = date || new Date();
+        const now = date.getHours() * 60 + date.getMinutes();
+        if (range[0] <= range[1])
+            return now >= range[0] && now < range[1];
+        return now >= range[0] || now < range[1];
+    },
+
+    /**
+     * Checks whether a feature may run now
+     * A feature without windows is always inside its schedule
+     * @param {string} feature - aSession.isOn feature name
+     * @returns {boolean}
+     */
+    isActive: function (feature) {
+        const schedule = aSettings.defaults.Schedule[feature];
+        var active = true;
+        try {
+            if (schedule) {
+                if (schedule.windows && schedule.windows.length)
+                    active = schedule.windows.some(function (text) { return aSchedule.inWindow(text); });
+                if (active && schedule.condition && aSchedule.conditions[schedule.condition])
+                    active = aSchedule.conditions[schedule.condition].check();
+            }
+        } catch (e) { console.error('Schedule check error:', e); }
+        if (aSchedule.state.hasOwnProperty(feature) && aSchedule.state[feature] !== active)
+            console.info('Schedule: Auto {0} is {1} its schedule'.format(feature, active ? 'inside' : 'outside'));
+        aSchedule.state[feature] = active;
+        return active;
+    }
+}
+
+/**
+ * Settings Manager
+ *
+ * Manages application configuration and user preferences. Handles loading,
+ * saving, and merging settings with defaults. Settings are persisted to
+ * disk as JSON files.
+ *
+ * @namespace aSettings
+ */
+const aSettings = {
+    // Set when a migration failed, saving is blocked so the file on disk stays untouched
+    locked: null,
+    // Copy of the script defaults taken before the saved settings are merged in
+    factory: {},
+    // Validation issues: load-time unknown/missing keys plus current invalid values
+    issues: [],
+    defaults: {
+        schemaVersion: 2,
+        Auto: {
+            AutoUpdate: true,
+            CreateBackup: true,
+            KeepBackups: 3,
+            SettingsHistory: 20,
+            RestartRAM: 0,
+            increaseTimeout: false,
+            Watchdog: true,
+            RetryAttempts: 3,
+            RetryBackoff: 5,
+            showGrid: false,
+        },
+        Debug: {
+            enableLogging: true,
+            logAdventures: true,
+            logCombat: true,
+            logGeologists: false,
+            logExplorers: false,
+            logDeposits: false,
+            logBuildings: false,
+            logBuffs: false,
+            logQuests: false,
+            logMail: false,
+            logTrade: false,
+            logQueue: false,
+            logUpdate: false,
+            logToFile: true,
+            logJson: false,
+            maxLogFileSize: 5000,
+            keepRotatedLogs: 3,
+        },
+        Security: {
+            validateFilePaths: false,
+        },
+        Explorers: {
+            autoStart: false,
+            template: "",
+            useTemplate: false,
+            eventOptimize: false
+        },
+        Adventures: {
+            speedBuff: "GeneralSpeedBuff_Bronze",
+            blackVortex: false,
+            templates: [],
+            lastAdv: {},
+            reTrain: false
+        },
+        Deposits: {
+            autoStart: false,
+            data: {
+                Stone: { max: 8, geos: [], options: [true, null, null, null, true] },
+                BronzeOre: { max: 6, geos: [], mine: 36, options: [true, true, true, 3, true] },
+                Marble: { max: 10, geos: [], options: [true, null, null, null, true] },
+                IronOre: { max: 19, geos: [], mine: 50, options: [true, true, true, 3, true] },
+                GoldOre: { max: 9, geos: [], mine: 46, options: [true, true, true, 3, true] },
+                Coal: { max: 6, geos: [], mine: 37, options: [true, true, true, 3, true] },
+                Granite: { max: 6, geos: [], options: [true, null, null, null, true] },
+                TitaniumOre: { max: 4, geos: [], mine: 69, options: [true, true, true, 3, true] },
+                Salpeter: { max: 4, geos: [], mine: 63, options: [true, true, true, 3, true] }
+            }
+        },
+        Quests: {
+            Letters: {
+                SharpClaw: true,
+                StrangeIdols: true,
+                Annoholics: true,
+                SilkCat: true,
+                Miranda: true,
+                BartTheBarter: true,
+                Vigilante: true,
+                SettlersBandits: true,
+                LostCompass: true,
+                AThreat: true
+            },
+            Mini: {
+                TheLittlePanda: true,
+                MysteriousCoin: true,
+                WeddingInvitation: true,
+                ANewStone: true,
+                SaveTheDeers: true,
+                WolfPuppy: true
+            },
+            Other: {
+                Daily: false,
+                DailyGuild: false,
+                Weekly: false,
+                Ghost: false,
+                PathFinder: false,
+                Starfall: false
+            },
+            Config: {
+                AutoStart: false,
+                PayResources: true,
+                SellinTO: true,
+                TrainUnits: true,
+                GatherfromStar: true,
+                Notification: true,
+                Explorers: {
+                    Treasure: {
+                        Short: [],
+                        Medium: [],
+                        Long: [],
+                        EvenLonger: [],
+                        Prolonged: []
+                    },
+                    AdventureZone: {
+                        Short: [],
+                        Medium: [],
+                        Long: [],
+                        VeryLong: []
+                    }
+                },
+                Buffs: {
+                    PHBuff: '',
+                    Apply: true,
+                    Produce: true
+                },
+                ProduceResource: {
+                    BuffType: '',
+                    TurnOn: false
+                }
+            }
+        },
+        Buildings: {
+            autoStart: false,
+            TProduction: {
+                ProvisionHouse: { item: '', amount: 0, stack: 1, buff: '' },
+                ProvisionHouse2: { item: '', amount: 0, stack: 1, buff: '' },
+                Barracks: { item: '', amount: 0, stack: 1, buff: '' },
+                EliteBarracks: { item: '', amount: 0, stack: 1, buff: '' },
+                Barracks3: { item: '', amount: 0, stack: 1, buff: '' },
+                ExpeditionWeaponSmith: { item: '', amount: 0, stack: 1, buff: '' },
+                Bookbinder: { item: '', amount: 0, buff: '' },
+                AdventureBookbinder: { item: '', amount: 0, stack: 1 },
+                Oilmill: { item: '', amount: 0, stack: 1 },
+                OilRefinery: { item: '', amount: 0, stack: 1 },
+                Stronghold: { item: '', amount: 0, stack: 1 },
+                Smokehouse: { item: '', amount: 0, stack: 1 },
+                CarnivalGrounds: { item: '', amount: 0, stack: 1 },
+                ArtificerStudy: { item: '', amount: 0, stack: 1 },
+                Laboratory: { item: '', amount: 0, stack: 1 },
+                SiegeWorkshop: { item: '', amount: 0, stack: 1 },
+                ToyFactory: { item: '', amount: 0, stack: 1 },
+                Chocolatier: { item: '', amount: 0, stack: 1 },
+                SnackStand: { item: '', amount: 0, stack: 1 },
+                LoversStatue: { item: '', amount: 0, stack: 1 },
+                CandyFactory: { item: '', amount: 0, stack: 1 },
+                BalloonMarket: { item: '', amount: 0, stack: 1 },
+                S4Lazaret: { item: '', amount: 0, stack: 1 },
+                BlackTree_Blue: { item: '', amount: 0, stack: 1 },
+                BlackTree_Gold: { item: '', amount: 0, stack: 1 },
+                BlackTree_Green: { item: '', amount: 0, stack: 1 },
+                BlackTree_Purple: { item: '', amount: 0, stack: 1 },
+                BlackTree_Red: { item: '', amount: 0, stack: 1 }
+            }
+        },
+        Mail: {
+            AutoStart: false,
+            AutoStartEvents: false,
+            EnabledUsers: {},
+            EnabledResources: {},
+            TimerMinutes: 3,
+            AcceptLoots: true,
+            AcceptGifts: true,
+            AcceptGeologistMsg: true,
+            AcceptAdventureLoot: true,
+            AcceptAdventureMessage: true,
+            SaveFriendsTrades: false,
+            DeclineTrades: true,
+            CompleteTrades: false,
+            AcceptInvites: false,
+            AcceptTrades: false,
+            ToStar: false,
+            AcceptGuildTrades: false,
+            AllowAllResources: false,
+            AllResourcesMax: 0
+        },
+        TransferToStore: {
+            autoStart: false,
+            boxTypes: []
+        },
+        Lootables: {
+            autoStart: false,
+            boxTypes: []
+        },
+        Trade: {
+            Trades: []
+        },
+        Collect: {
+            Pickups: true,
+            LootBoxes: true
+        },
+        Tweaks: {
+            ChatMax: false,
+            TradeAdventureMax: false,
+            TradeBuildingMax: false,
+            TradeBuffMax: false,
+            TradeFreshInterval: false,
+            GUIMaxAnimals: false,
+            MailPageSize: false
+        },
+        Schedule: {
+            Adventure: { windows: [], condition: '' },
+            Explorers: { windows: [], condition: '' },
+            Deposits: { windows: [], condition: '' },
+            CollectPickups: { windows: [], condition: '' },
+            Quests: { windows: [], condition: '' },
+            Buildings: { windows: [], condition: '' },
+            Mail: { windows: [], condition: '' },
+            FromStarToStore: { windows: [], condition: '' },
+            OpenMysteryBoxs: { windows: [], condition: '' }
+        }
+    },
+
+    /**
+     * Saves current settings to disk as JSON
+     * @param {boolean} [alert] - Whether to show a success alert
+     * @returns {void}
+     */
+    save: function (alert) {
+        try {
+            if (aSettings.locked) {
+                console.warn('Settings not saved: ' + aSettings.locked);
+                if (alert) aUI.Alert('Settings not saved, migration failed (see log)', 'ERROR');
+                return;
+            }
+            // Unknown and missing keys found on load stay listed until reset, extend already dropped or filled them
+            const invalid = aSettings.validate(aSettings.defaults).filter(function (issue) { return issue.kind === 'invalid'; });
+            const known = aSettings.issues.filter(function (issue) { return issue.kind === 'invalid'; }).map(function (issue) { return issue.path.join('.'); });
+            invalid.forEach(function (issue) {
+                if (known.indexOf(issue.path.join('.')) === -1)
+                    console.warn('Settings: {0} is invalid ({1} expected)'.format(issue.path.join('.'), issue.expected));
+            });
+            aSettings.issues = aSettings.issues.filter(function (issue) { return issue.kind !== 'invalid'; }).concat(invalid);
+            const data = JSON.stringify(aSettings.defaults, null, 2);
+            if (aUtils.file.Write(aUtils.file.Path('settings'), data))
+                aHistory.record(data);
+            if (alert) aUI.Alert(invalid.length ? "Settings Saved with {0} invalid values, see Settings Check".format(invalid.length) : "Settings Saved!", invalid.length ? 'ERROR' : undefined);
+        } catch (e) { console.error(e); }
+    },
+
+    /**
+     * Loads settings from disk and merges with defaults
+     * Supports per-config settings via --clientconfig parameter
+     * Falls back to default settings.json if nickname-specific file doesn't exist
+     * @returns {void}
+     */
+    load: function () {
+        var settingsPath = aUtils.file.Path('settings');
+        var data = aUtils.file.Read(settingsPath);
+
+        // If nickname-specific settings don't exist, try to load from default settings.json
+        if (!data && aUtils.getConfigNickname()) {
+            console.info('Nickname-specific settings not found, checking for default settings.json');
+            var defaultPath = air.File.applicationDirectory.resolvePath('auto/settings.json').nativePath;
+            data = aUtils.file.Read(defaultPath);
+
+            // If default exists, create a copy with the nickname for future use
+            if (data) {
+                console.info('Creating new settings file from default for config: ' + aUtils.getConfigNickname());
+                try {
+                    aUtils.file.Write(settingsPath, JSON.stringify(data, null, 2));
+                } catch (e) {
+                    console.error('Failed to create nickname-specific settings file:', e);
+                }
+            }
+        }
+
+        // Final fallback to legacy settings if nothing found
+        if (!data) {
+            data = readSettings(null, 'auto');
+        }
+
+        if (data && !aSettings.migrate(data, settingsPath)) return;
+        aSettings.factory = $.extend(true, {}, aSettings.defaults);
+        aSettings.issues = data ? aSettings.validate(data) : [];
+        aSettings.issues.forEach(function (issue) {
+            console.warn('Settings: {0} is {1}{2}'.format(issue.path.join('.'), issue.kind, issue.expected && issue.kind === 'invalid' ? ' ({0} expected)'.format(issue.expected) : ''));
+        });
+        aSettings = aSettings.extend(aSettings.defaults, data);
+    },
+
+    /**
+     * Ordered schema migrations. Each step upgrades the raw saved data from
+     * version - 1 to version, before it is merged into the defaults (so renamed
+     * keys are not dropped by extend). Append new steps and bump defaults.schemaVersion.
+     */
+    migrations: [
+        {
+            version: 1,
+            description: 'Production buildings get the amount field (0 = disabled)',
+            run: function (data) {
+                if (!data.Buildings || !data.Buildings.TProduction) return;
+                $.each(data.Buildings.TProduction, function (buildingName, settings) {
+                    if (settings && !settings.hasOwnProperty('amount')) settings.amount = 0;
+                });
+            }
+        },
+        {
+            version: 2,
+            description: 'Debug.logExplorer saved by the settings dialog is Debug.logExplorers',
+            run: function (data) {
+                if (!data.Debug || !data.Debug.hasOwnProperty('logExplorer')) return;
+                data.Debug.logExplorers = data.Debug.logExplorer;
+                delete data.Debug.logExplorer;
+            }
+        }
+    ],
+
+    /**
+     * Runs pending migrations on saved settings, in order. The original file is
+     * backed up first, a failing step stops the load and locks saving.
+     * @param {Object} data - Raw saved settings, migrated in place
+     * @param {string} path - Settings file, used for the backup name
+     * @returns {boolean} True if data can be loaded
+     */
+    migrate: function (data, path) {
+        const from = parseInt(data.schemaVersion) || 0;
+        const to = aSettings.defaults.schemaVersion;
+        if (from > to) {
+            console.warn('Settings schema v{0} is newer than this script (v{1}), loading as is'.format(from, to));
+            return true;
+        }
+        if (from === to) return true;
+
+        const backup = path.replace(/\.json$/, '') + '.v{0}.bak.json'.format(from);
+        if (!aUtils.file.Write(backup, JSON.stringify(data, null, 2))) {
+            aSettings.locked = 'could not back up settings before migrating to v{0}'.format(to);
+            console.error('Settings: ' + aSettings.locked);
+            return false;
+        }
+        const pending = aSettings.migrations.filter(function (step) {
+            return step.version > from && step.version <= to;
+        }).sort(function (a, b) { return a.version - b.version; });
+        for (var i = 0; i < pending.length; i++) {
+            try {
+                pending[i].run(data);
+                data.schemaVersion = pending[i].version;
+                console.info('Settings migrated to v{0}: {1}'.format(pending[i].version, pending[i].description));
+            } catch (e) {
+                aSettings.locked = 'migration to v{0} failed ({1}), original kept in {2}'.format(pending[i].version, e, backup);
+                console.error('Settings: ' + aSettings.locked);
+                aUI.Alert('Settings migration failed, using defaults without saving. Backup: ' + backup, 'ERROR');
+                return false;
+            }
+        }
+        data.schemaVersion = to;
+        return true;
+    },
+
+    /**
+     * Runs pending migrations on settings data without backup or locking,
+     * for snapshots and bundles. Throws if a step fails.
+     * @param {Object} data - Settings sections, migrated in place
+     * @param {number} [from] - Schema version of data, defaults to data.schemaVersion
+     * @returns {void}
+     */
+    upgrade: function (data, from) {
+        from = parseInt(from === undefined ? data.schemaVersion : from) || 0;
+        aSettings.migrations.filter(function (step) {
+            return step.version > from && step.version <= aSettings.defaults.schemaVersion;
+        }).sort(function (a, b) { return a.version - b.version; }).forEach(function (step) {
+            step.run(data);
+        });
+        if (data.hasOwnProperty('schemaVersion')) data.schemaVersion = aSettings.defaults.schemaVersion;
+    },
+
+    /**
+     * Validation rules by setting path ("*" matches any key). Types not listed
+     * here are taken from the factory default value, "open" objects hold
+     * user keys (friend ids, resources) and are only checked to be objects.
+     */
+    schema: {
+        'Auto.KeepBackups': { type: 'number', min: 0, max: 50 },
+        'Auto.SettingsHistory': { type: 'number', min: 0, max: 200 },
+        'Auto.RestartRAM': { type: 'number', min: 0 },
+        'Auto.RetryAttempts': { type: 'number', min: 0, max: 10 },
+        'Auto.RetryBackoff': { type: 'number', min: 0 },
+        'Debug.maxLogFileSize': { type: 'number', min: 100 },
+        'Debug.keepRotatedLogs': { type: 'number', min: 0, max: 10 },
+        'Adventures.lastAdv': { open: true },
+        'Deposits.data.*.max': { type: 'number', min: 0 },
+        'Deposits.data.*.mine': { type: 'number', min: 0 },
+        'Deposits.data.*.options': { type: 'array', length: 5 },
+        'Buildings.TProduction.*.amount': { type: 'number', min: 0 },
+        'Buildings.TProduction.*.stack': { type: 'number', min: 1 },
+        'Mail.EnabledUsers': { open: true },
+        'Mail.EnabledResources': { open: true },
+        'Mail.TimerMinutes': { type: 'number', min: 1, max: 1440 },
+        'Mail.AllResourcesMax': { type: 'number', min: 0 }
+    },
+
+    /**
+     * Finds the schema rule of a setting
+     * @param {Array<string>} path - Setting path
+     * @returns {Object} Rule, empty if none
+     */
+    rule: function (path) {
+        var found = {};
+        $.each(aSettings.schema, function (pattern, rule) {
+            const parts = pattern.split('.');
+            if (parts.length !== path.length) return;
+            if (parts.every(function (part, i) { return part === '*' || part === path[i]; })) {
+                found = rule;
+                return false;
+            }
+        });
+        return found;
+    },
+
+    /**
+     * Checks a single value against its factory default and rule
+     * @returns {string} Expected value description if invalid, empty if valid
+     */
+    check: function (expected, value, rule) {
+        if (expected === null || expected === undefined) return '';
+        const type = rule.type || ($.isArray(expected) ? 'array' : typeof expected);
+        if (type === 'array') {
+            if (!$.isArray(value)) return 'array';
+            if (rule.hasOwnProperty('length') && value.length !== rule.length) return 'array of {0} items'.format(rule.length);
+            return '';
+        }
+        if (type === 'number') {
+            const range = rule.hasOwnProperty('max') ? 'number {0}-{1}'.format(rule.min || 0, rule.max)
+                : rule.hasOwnProperty('min') ? 'number >= ' + rule.min : 'number';
+            if (typeof value !== 'number' || !isFinite(value)) return range;
+            if ((rule.hasOwnProperty('min') && value < rule.min) || (rule.hasOwnProperty('max') && value > rule.max)) return range;
+            return '';
+        }
+        return typeof value === type ? '' : type;
+    },
+
+    /**
+     * Validates settings data against the factory defaults and schema
+     * @param {Object} data - Raw saved settings or aSettings.defaults
+     * @returns {Array<Object>} Issues: {kind: 'invalid'|'unknown'|'missing', path, value, expected}
+     */
+    validate: function (data) {
+        const issues = [];
+        var walk = function (expected, value, path) {
+            const rule = aSettings.rule(path);
+            if ($.isPlainObject(expected)) {
+                if (!$.isPlainObject(value))
+                    return issues.push({ kind: 'invalid', path: path, value: value, expected: 'object' });
+                if (rule.open) return;
+                $.each(expected, function (key, def) {
+                    if (!value.hasOwnProperty(key))
+                        issues.push({ kind: 'missing', path: path.concat(key), value: undefined, expected: def });
+                    else
+                        walk(def, value[key], path.concat(key));
+                });
+                $.each(value, function (key, val) {
+                    if (!expected.hasOwnProperty(key))
+                        issues.push({ kind: 'unknown', path: path.concat(key), value: val, expected: '' });
+                });
+                return;
+            }
+            const reason = aSettings.check(expected, value, rule);
+            if (reason) issues.push({ kind: 'invalid', path: path, value: value, expected: reason });
+        };
+        walk(aSettings.factory, data, []);
+        return issues;
+    },
+
+    /**
+     * Resets the setting of an issue: invalid and missing values get the factory
+     * default, unknown keys are removed. Saves the settings.
+     * @param {Object} issue - Entry of aSettings.issues
+     * @returns {void}
+     */
+    reset: function (issue) {
+        var lookup = function (root, path) {
+            return path.reduce(function (node, key) { return node && typeof node === 'object' ? node[key] : undefined; }, root);
+        };
+        const parent = lookup(aSettings.defaults, issue.path.slice(0, -1));
+        const key = issue.path[issue.path.length - 1];
+        const fallback = lookup(aSettings.factory, issue.path);
+        if (issue.path.length && parent && typeof parent === 'object') {
+            if (issue.kind === 'unknown')
+                delete parent[key];
+            else
+                parent[key] = fallback && typeof fallback === 'object' ? $.extend(true, $.isArray(fallback) ? [] : {}, fallback) : fallback;
+        }
+        aSettings.issues = aSettings.issues.filter(function (other) { return other !== issue; });
+        console.info('Settings: reset {0} ({1})'.format(issue.path.join('.'), issue.kind));
+        aSettings.save();
+    },
+    extend: function (target, source) {
+        for (var prop in source) {
+            if (source.hasOwnProperty(prop) && target.hasOwnProperty(prop)) {
+                if ($.isArray(source[prop])) {
+                    if (source[prop].length === 0) {
+                        target[prop] = []; // Assign empty array if needed
+                    } else {
+                        if ($.isArray(target[prop])) {
+                            target[prop] = source[prop].slice(); // copy the array.
+                        } else if (typeof target[prop] !== 'object' || target[prop] === null) {
+                            target[prop] = $.isArray(source[prop]) ? [] : {};
+                        } else {
+                            target[prop] = source[prop];
+                        }
+                    }
+                } else if (typeof source[prop] === 'object' && source[prop] !== null) {
+                    if (typeof target[prop] !== 'object' || target[prop] === null) {
+                        target[prop] = $.isArray(source[prop]) ? [] : {};
+                    }
+                    aSettings.extend(target[prop], source[prop]);
+                } else {
+                    target[prop] = source[prop];
+                }
+            } else if (source.hasOwnProperty(prop) && !target.hasOwnProperty(prop)) {
+                if (!isNaN(parseInt(prop)))
+                    target[prop] = source[prop];
+            }
+        }
+        return target;
+    }
+}
+
+/**
+ * Utility Functions
+ *
+ * Collection of utility functions for UI creation, file I/O, formatting,
+ * game interactions, and event tracking.
+ *
+ * @namespace aUtils
+ */
+const aUtils = {
+    create: {
+        Panel: function (content) {
+            return $('<div>', { 'class': 'panel panel-defaults', 'style': 'background: inherit;' }).append([
+                // $('<div>', { 'class': 'panel-heading' }).append(header),
+                $('<div>', { 'class': 'panel-body' }).append(content)
+            ])
+        },
+        Select: function (id) {
+            return $('<select>', { 'class': 'form-control', 'id': id });
+        },
+        Button: function (id, text) {
+            return $('<button>', {
+                'style': 'cursor: pointer;text-decoration:none;color:#000;height: 20px;padding: 0px;',
+                'class': 'btn form-control',
+                'id': id
+            }).text(text)
+        },
+        Span: function (id, text) {
+            return $('<span>', {
+                'id': id
+            }).text(text);
+        },
+        Switch: function (id, isChecked) {
+            return $("<label>", {
+                'class': "switch"
+            })
+                .append($("<input>", {
+                    'type': "checkbox",
+                    'id': id,
+                    'checked': isChecked
+                }))
+                .append($("<span/>", {
+                    'class': "slider round"
+                }))
+        },
+        Row: function (colums, rowClass, header) {
+            rowClass = rowClass ? rowClass : '';
+            var rowDiv = $("<div>", { 'class': "row {0}".format(rowClass) })
+            return colums.forEach(function (colum) {
+                var columDiv = $("<div>", {
+                    'class': "col-xs-{0} col-sm-{0} col-lg-{0}".format(colum[0])
+                }).html(colum[1]);
+                header && columDiv.addClass("tblHeader"),
+                    colum[2] && columDiv.addClass(colum[2]),
+                    columDiv.attr("style", header ? "border-radius:10px 10px 10px 10px;line-height: 23px" : ""),
+                    rowDiv.append(columDiv)
+            }), rowDiv
+        },
+        SettingsImg: function (id) {
+            return $('<img>', { id: id, src: 'images/icon_settings.png', style: 'height: 23px; cursor: pointer;' })
+        },
+        newImg: function () {
+            return '<img src="https://img.icons8.com/retro/23/new.png" alt="new"/>';
+        },
+        container: function () {
+            return $('<div>', { 'class': 'container-fluid', 'style': 'height: auto; user-select: none;' });
+        }
+    },
+    format: {
+        Time: function (ms) {
+            const tSeconds = Math.floor(ms / 1000);
+            const minutes = Math.floor(tSeconds / 60);
+            const seconds = tSeconds % 60;
+            return "{0}:{1}".format(minutes, lz(seconds));
+        },
+        Date: function (ms) {
+            var date = new Date(ms);
+            var day = String(date.getDate());
+            if (day.length < 2) {
+                day = '0' + day;
+            }
+            var month = date.getMonth() + 1;
+            var year = String(date.getFullYear()).slice(-2);
+            var hours = date.getHours();
+            var minutes = String(date.getMinutes());
+            if (minutes.length < 2) {
+                minutes = '0' + minutes;
+            }
+            var ampm = hours >= 12 ? 'PM' : 'AM';
+            hours %= 12;
+            hours = hours ? hours : 12; // the hour '0' should be '12'
+            return day + '/' + month + '/' + year + ' ' + hours + ':' + minutes + ' ' + ampm;
+        },
+        Capitalize: function (string) {
+            return string.charAt(0).toUpperCase() + string.slice(1);
+        },
+        num: function (num) {
+            return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+        }
+    },
+
+    /**
+     * Sanitizes a filename to be Windows-compatible
+     * Removes invalid characters: < > : " / \ | ? *
+     * @param {string} filename - The filename to sanitize
+     * @returns {string} Sanitized filename safe for Windows filesystems
+     */
+    sanitizeFilename: function (filename) {
+        if (!filename) return 'default';
+
+        // Remove/replace Windows invalid characters: < > : " / \ | ? *
+        // Also remove control characters (ASCII 0-31)
+        var sanitized = filename.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_');
+
+        // Remove leading/trailing dots and spaces (Windows doesn't allow these)
+        sanitized = sanitized.replace(/^[\s.]+|[\s.]+$/g, '');
+
+        // Limit length to 200 characters (Windows MAX_PATH consideration)
+        if (sanitized.length > 200) {
+            sanitized = sanitized.substring(0, 200);
+        }
+
+        // If empty after sanitization, use default
+        return sanitized || 'default';
+    },
+
+    /**
+     * Gets the client config nickname from the global settingsFile variable
+     * This is set by the client when started with --clientconfig parameter
+     * @returns {string|null} Sanitized config nickname or null if using default
+     */
+    getConfigNickname: function () {
+        // settingsFile is a global variable set by the client in index.html
+        // Default value is "settings.json", custom configs have different names
+        // eslint-disable-next-line no-undef
+        if (typeof settingsFile !== 'undefined' && settingsFile !== 'settings.json') {
+            // Extract nickname from settingsFile (remove .json extension if present)
+            // eslint-disable-next-line no-undef
+            var nickname = settingsFile.replace('.json', '');
+            return aUtils.sanitizeFilename(nickname);
+        }
+
+        // Alternative: try to get from rawArgs (also set by client)
+        // eslint-disable-next-line no-undef
+        if (typeof rawArgs !== 'undefined' && rawArgs['clientconfig']) {
+            // eslint-disable-next-line no-undef
+            var nickname = rawArgs['clientconfig'].replace('.json', '');
+            return aUtils.sanitizeFilename(nickname);
+        }
+
+        return null; // Use default settings
+    },
+
+    /**
+     * File I/O Operations
+     * @namespace aUtils.file
+     */
+    file: {
+        /**
+         * Constructs file path in the auto directory
+         * Supports per-config settings when using --clientconfig parameter
+         * @param {string} segment - File name (without .json extension)
+         * @returns {string} Full native file path
+         */
+        Path: function (segment) {
+            // Special handling for settings file - append config nickname if available
+            if (segment === 'settings') {
+                var nickname = aUtils.getConfigNickname();
+                if (nickname) {
+                    segment = 'settings.' + nickname;
+                    console.info('Using per-config settings file: ' + segment + '.json');
+                }
+            }
+            return air.File.applicationDirectory.resolvePath('auto/' + segment + '.json').nativePath;
+        },
+        getPath: function (type, file) {
+            var dir = ['templates', 'resources'];
+            return aUtils.file.Path(dir[type] + '/' + file);
+        },
+        checkResource: function (file) {
+            var file = new air.File(aUtils.file.getPath(1, file));
+            return file.exists;
+        },
+        validatePath: function (filePath) {
+            // Validate that the path is within allowed directories to prevent directory traversal
+            try {
+                var file = new air.File(filePath);
+                var allowedDirs = [
+                    air.File.applicationDirectory.nativePath,
+                    air.File.applicationStorageDirectory.nativePath,
+                    air.File.applicationDirectory.resolvePath('auto').nativePath
+                ];
+
+                var fileNativePath = file.nativePath;
+                var isValid = allowedDirs.some(function (allowedDir) {
+                    return fileNativePath.indexOf(allowedDir) === 0;
+                });
+
+                if (!isValid) {
+                    // Check if validation is disabled - only override on failure
+                    if (!aSettings.defaults.Security.validateFilePaths) {
+                        console.info('Path validation disabled - allowing access to: ' + filePath);
+                        return true;
+                    }
+                    console.error('Path validation failed: ' + filePath + ' is outside allowed directories');
+                    console.error('Invalid path access attempt: ' + filePath);
+                    return false;
+                }
+                return true;
+            } catch (e) {
+                console.error('Path validation error: ' + e);
+                console.error('Path validation error: ' + e);
+                return false;
+            }
+        },
+
+        /**
+         * Path of the previous good version of a JSON file, kept by Write()
+         * @param {string} path - Full path to the file
+         * @returns {string}
+         */
+        lastGood: function (path) {
+            return path + '.lastgood';
+        },
+
+        /**
+         * Reads a whole file as text
+         * @param {air.File} file
+         * @returns {string}
+         */
+        readText: function (file) {
+            var fileStream = new air.FileStream();
+            fileStream.open(file, air.FileMode.READ);
+            var data = fileStream.readUTFBytes(file.size);
+            fileStream.close();
+            return data;
+        },
+
+        /**
+         * Reads and parses a JSON file from disk
+         * Falls back to the last good copy when the file is missing, empty or truncated
+         * @param {string} fileName - Full path to the file
+         * @returns {Object|boolean} Parsed JSON object, or false if file doesn't exist or is invalid
+         */
+        Read: function (fileName, isNotJson) {
+            try {
+                if (!aUtils.file.validatePath(fileName)) {
+                    console.error('Read blocked - invalid path: ' + fileName);
+                    return false;
+                }
+
+                var file = new air.File(fileName);
+                var data = file.exists ? aUtils.file.readText(file) : "";
+                if (isNotJson) return data === "" ? false : data;
+                try {
+                    if (data !== "") return JSON.parse(data);
+                } catch (e) {
+                    console.error('Read error: {0} is not valid JSON ({1})'.format(fileName, e));
+                }
+                var backup = new air.File(aUtils.file.lastGood(fileName));
+                if (!backup.exists) return false;
+                var restored = JSON.parse(aUtils.file.readText(backup));
+                console.warn('{0} is {1}, using last good copy'.format(fileName, file.exists ? 'damaged' : 'missing'));
+                return restored;
+            } catch (e) {
+                console.error('File read error: ' + e);
+                console.error('Read error: ' + e);
+                return false;
+            }
+        },
+
+        /**
+         * Writes data to a file on disk
+         * The data goes to <path>.tmp first and is read back (and parsed for .json
+         * files) before it is renamed over the target, so a crash never leaves a
+         * truncated file. The replaced JSON file is kept as the last good copy.
+         * @param {string} path - Full path to the file
+         * @param {string} data - Data to write (typically JSON string)
+         * @returns {boolean} Success status
+         */
+        Write: function (path, data) {
+            try {
+                if (!aUtils.file.validatePath(path)) {
+                    console.error('Write blocked - invalid path: ' + path);
+                    return false;
+                }
+
+                var file = new air.File(path);
+                var temp = new air.File(path + '.tmp');
+                var isJson = /\.json$/i.test(path);
+                var fileStream = new air.FileStream();
+                fileStream.open(temp, air.FileMode.WRITE);
+                fileStream.writeUTFBytes(data);
+                fileStream.close();
+
+                var written = aUtils.file.readText(temp);
+                if (written !== data) throw new Error('verification failed, ' + path + '.tmp differs from the data');
+                if (isJson) JSON.parse(written);
+
+                if (isJson && file.exists) {
+                    try {
+                        JSON.parse(aUtils.file.readText(file));
+                        file.moveTo(new air.File(aUtils.file.lastGood(path)), true);
+                    } catch (e) {
+                        console.warn('Write: {0} was damaged, last good copy kept'.format(path));
+                    }
+                }
+                temp.moveTo(file, true);
+                return true;
+            } catch (e) {
+                console.error('File write error: ' + e);
+                console.error('Write error: ' + e);
+                try {
+                    var leftover = new air.File(path + '.tmp');
+                    if (leftover.exists) leftover.deleteFile();
+                } catch (er) { }
+                return false;
+            }
+        },
+
+        /**
+         * Appends data to a file on disk, creating it if needed
+         * @param {string} path - Full path to the file
+         * @param {string} data - Data to append
+         * @returns {boolean} Success status
+         */
+        Append: function (path, data) {
+            try {
+                if (!aUtils.file.validatePath(path)) {
+                    console.error('Append blocked - invalid path: ' + path);
+                    return false;
+                }
+
+                var file = new air.File(path);
+                if (!file.parent.exists) file.parent.createDirectory();
+                var fileStream = new air.FileStream();
+                fileStream.open(file, air.FileMode.APPEND);
+                fileStream.writeUTFBytes(data);
+                fileStream.close();
+                return true;
+            } catch (e) {
+                console.error('File append error: ' + e);
+                return false;
+            }
+        },
+
+        /**
+         * Deletes a file from disk
+         * @param {string} path - Full path to the file to delete
+         * @returns {void}
+         */
+        Delete: function (path) {
+            try {
+                if (!aUtils.file.validatePath(path)) {
+                    console.error('Delete blocked - invalid path: ' + path);
+                    return false;
+                }
+
+                new air.File(path).deleteFile();
+                var backup = new air.File(aUtils.file.lastGood(path));
+                if (backup.exists) backup.deleteFile();
+                return true;
+            } catch (e) {
+                console.error('File delete error: ' + e);
+                console.error('Delete error: ' + e);
+                return false;
+            }
+        },
+        Select: function (callback) {
+            try {
+                var file = new air.File();
+                file.browseForOpen("Select a Template");
+                // Use self-removing handler to prevent memory leak
+                var selectHandler = function (event) {
+                    file.removeEventListener(air.Event.SELECT, selectHandler);
+                    callback(event);
+                };
+                file.addEventListener(air.Event.SELECT, selectHandler);
+            } catch (e) { }
+        },
+        /**
+         * Lets the user save data to a file of their choice
+         * @param {string} name - Suggested file name
+         * @param {string} data - File content
+         * @returns {void}
+         */
+        Export: function (name, data) {
+            try {
+                new air.File(air.File.documentsDirectory.nativePath).resolvePath(name).save(data);
+            } catch (e) { console.error('Export error:', e); }
+        },
+    },
+    trackers: {
+        zoneRefreshed: function () {
+            aBus.emit(aBus.EVENTS.ZONE_LOADED, {
+                zoneId: game.gi.mCurrentViewedZoneID,
+                home: game.gi.isOnHomzone()
+            });
+        },
+        battleFinished: function (e) {
+            try {
+                aBus.emit(aBus.EVENTS.BATTLE_FINISHED, { casualties: e.data.getCasualties() });
+            } catch (er) { console.error(er) }
+        },
+        chatObserver: function () {
+            //debug(e);
+        }
+    },
+    game: {
+        /**
+         * Feature switches implied by the "Run on Startup" settings
+         * @returns {Object} aSession.isOn values
+         */
+        autoStartFeatures: function () {
+            return {
+                Explorers: aSettings.defaults.Explorers.autoStart,
+                Deposits: aSettings.defaults.Deposits.autoStart,
+                Buildings: aSettings.defaults.Buildings.autoStart,
+                Quests: aSettings.defaults.Quests.Config.AutoStart,
+                CollectPickups: aSettings.defaults.Collect.Pickups,
+                Mail: aSettings.defaults.Mail.AutoStart || (aSettings.defaults.Mail.AutoStartEvents && aEvents.getActiveEvent('Content')),
+                FromStarToStore: aSettings.defaults.TransferToStore.autoStart,
+                OpenMysteryBoxs: aSettings.defaults.Lootables.autoStart
+            };
+        },
+        applyTweaks: function () {
+            try {
+                game.def("defines").CLIENT_PACKET_LOSS_TIMEOUT = aSettings.defaults.Auto.increaseTimeout ? LIMITS.CLIENT_PACKET_TIMEOUT_INCREASED : LIMITS.CLIENT_PACKET_TIMEOUT_DEFAULT;
+                globalFlash.gui.mChatPanel.getViewComponent().messageHistory.maxEntries = aSettings.defaults.Tweaks.ChatMax ? 100 : 300;
+                game.def("global").tradeMaxAdventureAmount = aSettings.defaults.Tweaks.TradeAdventureMax ? 100 : 10;
+                game.def("global").tradeMaxBuildingAmount = aSettings.defaults.Tweaks.TradeBuildingMax ? 100 : 10;
+                game.def("global").tradeMaxBuffAmount = aSettings.defaults.Tweaks.TradeBuffMax ? LIMITS.TRADE_BUFF_MAX_TWEAKED : LIMITS.TRADE_BUFF_MAX_DEFAULT;
+                game.def("global").tradeRefreshInterval = aSettings.defaults.Tweaks.TradeFreshInterval ? 10 : 30;
+                game.def("global").maxAnimalsOnMap = aSettings.defaults.Tweaks.GUIMaxAnimals ? 50 : 100;
+                game.def("global").mailboxPageSize = aSettings.defaults.Tweaks.MailPageSize ? 100 : 50;
+            } catch (e) { }
+        },
+        checkRAM: function () {
+            if (!aSettings.defaults.Auto.RestartRAM) return;
+            if (air.System.privateMemory > (aSettings.defaults.Auto.RestartRAM * Math.pow(1024, 3)))
+                this.restart();
+        },
+        restart: function () {
+            aSnapshot.save('restart');
+            aLedger.flush();
+            updateApplication();
+            var nativeProcessStartupInfo = new window.runtime.flash.desktop.NativeProcessStartupInfo();
+            var file = air.File.applicationDirectory.resolvePath("client.exe");
+            nativeProcessStartupInfo.executable = file;
+            var processArgs = new window.runtime.Vector["<String>"]();
+            $.extend(rawArgs, {
+                "flexid": game.def("mx.messaging::FlexClient").getInstance().id,
+                "authrandom": game.def("defines").CLIENT_AUTHRANDOM,
+                "autorun": JSON.stringify(aSession.isOn)
+            });
+            processArgs[0] = "tso://?" + Object.keys(rawArgs).map(function (k) { return "{0}={1}".format(k, rawArgs[k]); }).join('&');
+            nativeProcessStartupInfo.arguments = processArgs;
+            process = new window.runtime.flash.desktop.NativeProcess();
+            process.start(nativeProcessStartupInfo);
+            setTimeout(function () {
+                window.runtime.flash.desktop.NativeApplication.nativeApplication.exit(-3);
+            }, TIMEOUTS.ADVENTURE_RETRY_DELAY);
+        },
+        getText: function (item) {
+            const textTypes = ["RES", "BUI", "SPE", "COL", "LAB", "ADN", "ALM", "SHI", "ACL"];
+            if (item === "") return "";
+            for (var idx = 0; idx < textTypes.length; idx++) {
+                var n = loca.GetText(textTypes[idx], item);
+                if (n.toLowerCase().indexOf("undefined") < 0)
+                    return n;
+            }
+            return item;
+        },
+        sendSpecialistPacket: function (uniqueId, taskId, subTaskId) {
+            if (!uniqueId) return false;
+            try {
+                var specTask = game.def("Communication.VO::dStartSpecialistTaskVO", true);
+                specTask.subTaskID = subTaskId;
+                specTask.paramString = "";
+                specTask.uniqueID = uniqueId;
+                aNet.sendServerAction(95, taskId, 0, 0, specTask, aQueue.responder());
+                return true;
+            } catch (e) { return false; }
+        },
+        timedProduction: function (type, item, amount, stack, grid) {
+            try {
+                var dTPVO = game.def("Communication.VO::dTimedProductionVO", true);
+                dTPVO.productionType = type;
+                dTPVO.type_string = item;
+                dTPVO.amount = amount;
+                dTPVO.stacks = stack;
+                dTPVO.buildingGrid = grid;
+                aNet.sendMessage(91, game.gi.mCurrentViewedZoneID, dTPVO);
+                aLedger.record('production', { item: item, amount: amount, stacks: stack, grid: grid });
+            } catch (er) { console.error(er) }
+        },
+        uID: function (string) {
+            var arr = string.split('.');
+            var uID = game.def('Communication.VO.dUniqueID', !0);
+            uID.uniqueID1 = arr[0];
+            uID.uniqueID2 = arr[1];
+            return uID;
+        }
+    },
+    friends: {
+        getFriends: function () {
+            return globalFlash.gui.mFriendsList.GetFilteredFriends("", true).filter(function (f) {
+                return f.username.indexOf('Deleted') === -1;
+            }).sort(function (a, b) {
+                return a.username.toLowerCase().localeCompare(b.username.toLowerCase());
+            });
+        },
+        isGuildMember: function (id) {
+            var result = false;
+            game.gi.GetCurrentPlayerGuild().members.toArray().forEach(function (member) {
+                if (result) return;
+                if (member.id === id)
+                    result = true;
+            });
+            return result;
+        },
+        getRandom: function (res_name) {
+            var friendList = globalFlash.gui.mFriendsList.GetFilteredFriends("", true).filter(function (f) {
+                return !f.onlineStatus && f.username.indexOf('Deleted') === -1;
+            }).sort(function (a, b) {
+                return b.playerLevel - a.playerLevel;
+            });
+            if (!friendList.length) return aUI.Alert('Come on! Get Some friends!!'), null;
+            friendList = friendList.slice(Math.ceil(friendList.length / 2));
+            if (res_name === 'FillDeposit_Fishfood')
+                return friendList[friendList.length - 1];
+            return friendList[Math.floor(Math.random() * friendList.length)];
+        }
+    },
+    responders: {
+        openBox: function (box) {
+            return aQueue.responder(
+                function (e, response) {
+                    try {
+                        const items = {};
+                        response.data.data.items.source.forEach(function (item) {
+                            var name = item.resourceName_string !== "" ? item.resourceName_string : item.buffName_string;
+                            items[name] = (items[name] || 0) + item.amount;
+                            aUI.Alert('Congratulations, you got x{1} {0} from mystery box!'.format(aUtils.game.getText(name), item.amount),
+                                name);
+                        });
+                        aLedger.record('box', { box: box, items: items });
+                    } catch (e) { }
+                },
+                function () { aUI.Alert('Failed to open box!', 'ERROR') });
+        },
+        sendOfficeTrades: function () {
+            return aQueue.responder(function (e, d) {
+                try {
+                    const data = d.data.data;
+                    var nextSlot = aTrade.office.nextSlotType(data);
+                    var nextCoinSlotPos = game.gi.mHomePlayer.mTradeData.getNextFreeSlotForType(2);
+                    $.each(aTrade.office.trades, function (key, trade) {
+                        if (trade.Live) return;
+                        const quest = key.split("#");
+                        if (aQuests.isTriggerFinished(quest[0], quest[1])) return;
+                        var data = {
+                            Send: trade.Send,
+                            Receive: [trade[0] === 'Fish' ? 'Stone' : 'Fish', 1],
+                            slotType: nextSlot,
+                            slotPos: nextSlot === 0 ? 0 : nextCoinSlotPos
+                        }
+                        const offer = "{0},{1}|{2},{3}|1".format(trade.Send[0], trade.Send[1], data.Receive[0], data.Receive[1]);
+                        aTrade.office.trades[key]["Offer"] = offer;
+                        if (aTrade.office.isTradeLive(data, offer, key)) return;
+                        aTrade.send(data, function () {
+                            try {
+                                var k = key;
+                                aTrade.office.trades[k].Live = true;
+                            } catch (e) { console.error(e) }
+                        });
+                        //});
+                        if (nextSlot === 2) {
+                            aTrade.office.coinSlots.push(nextCoinSlotPos);
+                            for (var i = 0; i < 9; i++) {
+                                if (aTrade.office.coinSlots.indexOf(i) === -1) {
+                                    nextCoinSlotPos = i;
+                                    break;
+                                }
+                            }
+                        } else if (nextSlot === 0) nextSlot = 2;
+                        aTrade.office.coinSlots = [];
+                    });
+                } catch (e) { }
+            });
+        },
+        buffOnFriend: function (res) {
+            if (!res) return null;
+            return game.createResponder(function () {
+                setTimeout(function () { aQueue.skip(); }, TIMEOUTS.ADVENTURE_TRAIN_UNITS_DELAY);
+            });
+        },
+        checkOutbox: function (friendID) {
+            return game.createResponder(function (e, d) {
+                try {
+                    $.each(d.data.headers_collection, function (i, mail) {
+                        if (mail.reciepientId !== friendID) return;
+                        aTrade.complete(mail.id, mail.type, false);
+                    });
+                    aUI.updateStatus('Declining Outbox Trades', 'Quests');
+                } catch (e) {
+                    console.error('Outbox: Error ' + e.message);
+                    aQueue.repeat(6000);
+                }
+            });
+        },
+        checkInbox: function (friendID) {
+            return game.createResponder(function (e, d) {
+                try {
+                    $.each(d.data.headers_collection, function (i, mail) {
+                        if (mail.senderId !== friendID) return;
+                        aTrade.complete(mail.id, mail.type, true, function (e, d) {
+                            delete aResources.gather.list[d.data.data.returnedItem.name_string];
+                        });
+                    });
+                    aUI.updateStatus('Completing Trades', 'Quests');
+                } catch (e) {
+                    console.error('Inbox: Error ' + e.message);
+                    aQueue.repeat(6000);
+                }
+            });
+        }
+    }
+}
+// ==================== UI & Menu ====================
+const aUI = {
+    menu: {
+        Progress: 0,
+        Timer: null,
+        SelectedAdventure: null,
+        initItem: function (name, label, enabled) {
             var menuItem = window.nativeWindow.menu.getItemByName(name);
             if (menuItem !== null) window.nativeWindow.menu.removeItem(menuItem);
             var newItem = new air.NativeMenuItem(label);
@@ -1747,6 +4592,31 @@ const aUI = {
                     { label: "v{0} {1}".format(auto.version, auto.update.available ? "*New Update Available!*" : ""), name: "version", onSelect: aUI.modals.Changelog },
                     { type: 'separator' },
                     { label: "Settings", onSelect: aUI.modals.Settings },
+                    { label: 'Profiles', items: aProfiles.menuItems() },
+                    {
+                        label: 'Bundle', items: [
+                            { label: "Export Bundle", onSelect: aUI.modals.BundleExport },
+                            { label: "Import Bundle", onSelect: function () { aUI.modals.BundleImport(); } }
+                        ]
+                    },
+                    { label: "Settings History", onSelect: aUI.modals.History },
+                    { label: "Settings Check" + (aSettings.issues.length ? " ({0})".format(aSettings.issues.length) : ""), onSelect: aUI.modals.SettingsCheck },
+                    { label: "Queue", onSelect: aUI.modals.Queue },
+                    { label: "Logs", onSelect: aUI.modals.Logs },
+                    { label: "Activity Report", onSelect: aUI.modals.Report },
+                    {
+                        label: "Diagnostics Bundle", onSelect: function () {
+                            const path = aDiagnostics.create();
+                            if (path) aUI.Alert('Diagnostics written to ' + path, 'QUEST');
+                            else aUI.Alert('Diagnostics bundle failed, check the log', 'ERROR');
+                        }
+                    },
+                    {
+                        label: 'Dry Run', items: [
+                            { label: aSession.dryRun ? "Disable Dry Run" : "Enable Dry Run", onSelect: function () { aNet.setDryRun(!aSession.dryRun); } },
+                            { label: "Recorded Actions", onSelect: aUI.modals.DryRun }
+                        ]
+                    },
                     { label: "Update", name: "update", enabled: auto.update.available, onSelect: auto.update.updateScript },
                     {
                         label: "Restart Client", onSelect: function () {
@@ -1814,6 +4684,9 @@ const aUI = {
                             },
                             { type: 'separator' },
                             { label: 'Reload Saved Adventures!', onSelect: function () { aUI.menu.init() } },
+                            { label: 'Adventure Library', onSelect: aUI.modals.Templates },
+                            { label: 'Export Adventures', onSelect: aUI.modals.TemplateExport },
+                            { label: 'Import Adventures', onSelect: aTemplates.select },
                             { type: 'separator' },
                         ].concat(aUI.menu.savedItems())
                     },
@@ -1852,139 +4725,1069 @@ const aUI = {
                             aUI.menu.toggleFeature('From_Star_To_Store', e);
                         }
                     }
-                ];
-                menu.nativeMenu.getItemByName("Automation").submenu = air.ui.Menu.createFromJSON(m);
+                ];
+                const extensions = aExtensions.menuItems();
+                if (extensions.length)
+                    m.splice(m.map(function (item) { return item.label; }).indexOf("The Pathfinder") + 1, 0, { label: 'Extensions', items: extensions });
+                menu.nativeMenu.getItemByName("Automation").submenu = air.ui.Menu.createFromJSON(m);
+
+                var existingGridPosMenu = window.nativeWindow.menu.getItemByName("GridPosMenu");
+                if (aSettings.defaults.Auto.showGrid) {
+                    if (existingGridPosMenu === null) {
+                        MenuItem = new air.NativeMenuItem("Grid : ---");
+                        MenuItem.name = "GridPosMenu";
+                        MenuItem.enabled = false;
+                        window.nativeWindow.menu.addItem(MenuItem);
+                        window.nativeWindow.stage.addEventListener("click", auto.generateGrid);
+                    }
+                } else {
+                    if (existingGridPosMenu) {
+                        window.nativeWindow.menu.removeItem(existingGridPosMenu);
+                        window.nativeWindow.stage.removeEventListener("click", auto.generateGrid);
+                    }
+                }
+                if (!menu.nativeMenu.getItemByName("Automation").submenu)
+                    aUI.menu.init();
+            } catch (e) { console.error(e) }
+        },
+        savedItems: function () {
+            try {
+                var items = [];
+                $.each(aAdventure.data.getAdventures(), function (category, adventures) {
+                    var catAdvs = [];
+                    if (category === 'Scenario') {
+                        $.each(adventures, function (i, scenario) {
+                            catAdvs.push(aUI.menu.itemMaker({ name: scenario }, catAdvs.length));
+                        });
+                    } else {
+                        $.each(aSettings.defaults.Adventures.templates, function (index, template) {
+                            if (adventures.indexOf(template.name) === -1) return;
+                            catAdvs.push(aUI.menu.itemMaker(template, catAdvs.length));
+                        });
+                    }
+                    if (catAdvs.length)
+                        items.push({ label: category, items: catAdvs });
+                });
+                return items;
+            } catch (e) { console.error(e) }
+        },
+        itemMaker: function (template, len) {
+            const name = "{0}".format(template.id || template.name);
+            const amount = aBuffs.getBuffAmount(['Adventure', template.name]);
+            const label = "{0}{1}. {2} x{3}".format(
+                name === aUI.menu.SelectedAdventure ? "-> " : "",
+                (len + 1),
+                template.label || loca.GetText('ADN', template.name),
+                amount
+            );
+            return { label: label, enabled: (amount || aAdventure.info.getActiveAdvetureID(template.name)) ? true : false, name: name, onSelect: aUI.menu.startAutoAdventure };
+        },
+        featureLabel: function (feature) {
+            const name = feature.replace(/_/g, "");
+            const label = aUtils.format.Capitalize(feature.replace(/_/g, " "))
+            return "{0} Auto {1}".format(aSession.isOn[name] ? "Stop" : "Start", label);
+        },
+        toggleFeature: function (feature, event) {
+            const name = feature.replace(/_/g, "");
+            const run = !aSession.isOn[name];
+            const label = aUtils.format.Capitalize(feature.replace(/_/g, " "));
+            aSession.setFeature(name, run);
+            event.target.label = "{0} Auto {1}".format(run ? "Stop" : "Start", label)
+            aUI.Alert("Auto {1} is {0}".format(run ? "On" : "Off", label), 'QUEST');
+        },
+        startAutoAdventure: function (event) {
+            try {
+                if (!confirm('Are you sure you want to start this auto adventure?')) return;
+                aSession.adventure.repeatCount = 0;
+                aSession.adventure.reset();
+                var adventure = isNaN(parseInt(event.target.name)) ?
+                    game.auto.resources[event.target.name.replace('BuffAdventures_', '')] :
+                    aUtils.file.Read(aUtils.file.getPath(0, event.target.name));
+                if (!adventure)
+                    return aUI.Alert("Adventure template could not be read!", "ERROR");
+
+                const issues = aTemplates.lint(aTemplates.upgrade(adventure));
+                if (issues.some(function (issue) { return issue.level === 'error'; }))
+                    return alert('This adventure can not be started:\n' + aTemplates.report(issues));
+                if (issues.length && !confirm('{0}\n\nStart anyway?'.format(aTemplates.report(issues))))
+                    return;
+
+                const AdventureActive = aAdventure.info.getActiveAdvetureID(adventure.name) ? 1 : 0;
+                const mapCount = aBuffs.getBuffAmount(['Adventure', adventure.name]) + AdventureActive;
+                if (mapCount < 1)
+                    return aUI.Alert("You don't have any adventure maps for this adventure!", "ERROR");
+
+                var repeat = confirm("Repeat the adventure as many as you have? x{0}".format(mapCount));
+                var runs = mapCount;
+                if (!repeat) {
+                    var userCount = parseInt(prompt("Repeat count !? defaults: 1"));
+                    runs = isNaN(userCount) ? 1 : (userCount > mapCount ? mapCount : userCount);
+                }
+
+                const id = event.target.name;
+                var start = function () {
+                    aSession.adventure.repeatCount = runs;
+                    $.extend(aSession.adventure, adventure);
+                    delete aSession.adventure.hash;
+                    delete aSession.adventure.schema;
+                    aSession.adventure.id = id;
+                    aUI.Alert(loca.GetText('ADN', adventure.name) + " is selected", adventure.name);
+                    aSession.setFeature('Adventure', true);
+                    aUI.modals.adventure.AM_LoadInfo();
+                    aUI.menu.SelectedAdventure = id;
+                    aUI.menu.init();
+                };
+                var report;
+                try {
+                    report = aPreflight.check(adventure, runs);
+                } catch (er) {
+                    console.error('Pre-flight check error:', er);
+                    report = { ready: false, checks: [{ level: 'error', label: 'Pre-flight', detail: String(er) }], fixes: [] };
+                }
+                if (report.checks.every(function (check) { return check.level === 'ok'; }))
+                    return start();
+                aUI.modals.Preflight(report, adventure.name, runs, start);
+            } catch (e) { console.error(e) }
+        }
+    },
+    modals: {
+        Changelog: function () {
+            if (!auto.update.changelog) {
+                $.get(auto.update.url() + 'version.json', function (data) {
+                    var json = JSON.parse(data);
+                    auto.update.changelog = json.changelog;
+                    aUI.modals.Changelog();
+                });
+                return;
+            }
+            $("div[role='dialog']:not(#aChangelogModal):visible").modal("hide");
+            $('#aChangelogModal').remove();
+            createModalWindow('aChangelogModal', utils.getImageTag('icon_dice.png', '45px') + ' Changelog');
+            var data = $.map(Object.keys(auto.update.changelog).reverse(), function (v) {
+                var r = [
+                    createTableRow([[11, "Version: {0}".format(v)], [1, ""]], true)
+                ];
+                $.each(auto.update.changelog[v], function (i, f) {
+                    r.push(createTableRow([[11, "&#10551; {0}".format(f)], [1, ""]], false));
+                });
+                r.push($('<br>'));
+                return r;
+            });
+            $('#aChangelogModalData').append(
+                aUtils.create.container().append([].concat(data))
+            )
+            $('#aChangelogModal:not(:visible)').modal({ backdrop: "static" });
+        },
+        Queue: function () {
+            try {
+                var paramsText = function (params) {
+                    try {
+                        var text = JSON.stringify(params) || '';
+                        return text.length > 60 ? text.substr(0, 57) + '...' : text;
+                    } catch (e) { return '[object]'; }
+                };
+                var button = function (op, id, html, title) {
+                    return $('<button>', {
+                        'class': 'btn btn-xs',
+                        'style': 'color:#000;',
+                        'title': title,
+                        'data-op': op,
+                        'data-id': id
+                    }).html(html);
+                };
+                var row = function (entry, where) {
+                    return createTableRow([
+                        [2, where],
+                        [2, $('<span>').text(entry.fn + (entry.attempts ? ' #' + entry.attempts : ''))],
+                        [3, $('<small>').text(paramsText(entry.params))],
+                        [1, entry.delay ? (entry.delay / 1000) + 's' : '-'],
+                        [2, $('<small>').text(entry.source || '')],
+                        [2, [
+                            button('up', entry.id, '&#9650;', 'Move up'),
+                            button('down', entry.id, '&#9660;', 'Move down'),
+                            button('run', entry.id, '&#9654;', 'Run now'),
+                            button('cancel', entry.id, '&#10006;', 'Cancel')
+                        ]]
+                    ], false);
+                };
+                var refresh = function () {
+                    var rows = [];
+                    Object.keys(aQueue.lanes).sort(function (a, b) {
+                        return aQueue.lanes[a].priority - aQueue.lanes[b].priority;
+                    }).forEach(function (name) {
+                        const lane = aQueue.lanes[name];
+                        lane.queue.slice(lane.index).forEach(function (entry) {
+                            rows.push(row(entry, name));
+                        });
+                    });
+                    aQueue.waiting.forEach(function (entry) {
+                        rows.push(row(entry, 'waiting'));
+                    });
+                    const current = aQueue.current ? '{0} ({1})'.format(aQueue.current.entry.fn, aQueue.current.lane) : '-';
+                    $('#aQueueState').text('{0} | Pending: {1} | Waiting: {2} | Rate limited: {3} | Last: {4}'.format(
+                        aQueue.paused ? 'Paused' : 'Running',
+                        aQueue.pending(),
+                        aQueue.waiting.length,
+                        aNet.pending(),
+                        current
+                    ));
+                    $('#aQueueList').empty().append(rows.length ? rows : createTableRow([[12, 'Queue is empty']]));
+                    $('#aQueuePause').text(aQueue.paused ? 'Resume' : 'Pause');
+                };
+                aWindow = new Modal('aQueueModal', utils.getImageTag('icon_dice.png', '45px') + ' Queue');
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        $('<center>').append(aUtils.create.Span('aQueueState', '')),
+                        $('<br>'),
+                        createTableRow([
+                            [2, 'Lane'],
+                            [2, 'Action'],
+                            [3, 'Params'],
+                            [1, 'Delay'],
+                            [2, 'Queued by'],
+                            [2, '']
+                        ], true),
+                        $('<div>', { 'id': 'aQueueList' })
+                    ])
+                );
+                aWindow.withBody('#aQueueList').on('click', 'button', function () {
+                    const id = parseInt($(this).attr('data-id'));
+                    switch ($(this).attr('data-op')) {
+                        case 'up':
+                            aQueue.move(id, -1);
+                            break;
+                        case 'down':
+                            aQueue.move(id, 1);
+                            break;
+                        case 'run':
+                            aQueue.runNow(id);
+                            break;
+                        case 'cancel':
+                            aQueue.cancel(id);
+                            break;
+                    }
+                    refresh();
+                });
+                aWindow.Footer().prepend($("<button>").attr({ 'class': "btn btn-primary pull-left", 'id': 'aQueuePause' }).click(function () {
+                    aQueue.pause(!aQueue.paused);
+                    refresh();
+                }));
+                refresh();
+                aWindow.show();
+                if (game.auto.aQueueViewID) clearInterval(game.auto.aQueueViewID);
+                game.auto.aQueueViewID = setInterval(function () {
+                    if (!$('#aQueueModal:visible').length) {
+                        clearInterval(game.auto.aQueueViewID);
+                        game.auto.aQueueViewID = null;
+                        return;
+                    }
+                    refresh();
+                }, 1000);
+            } catch (e) { console.error(e) }
+        },
+        settings: {
+            loadSavedAdventures: function () {
+                $("#aAdventure_SavedPool").empty().append(aSettings.defaults.Adventures.templates.map(function (adv, i) {
+                    return $('<option>', { value: i }).text(adv.label || loca.GetText('ADN', adv.name));
+                }));
+            }
+        },
+        DryRun: function () {
+            try {
+                var rows = function () {
+                    if (!aNet.records.length) return [createTableRow([[12, 'Nothing recorded yet']])];
+                    return aNet.records.slice().reverse().map(function (record) {
+                        var payload = JSON.stringify(record.payload);
+                        return createTableRow([
+                            [2, new Date(record.time).toLocaleTimeString()],
+                            [3, $('<small>').text(record.action ? '{0} ({1})'.format(record.module, record.action) : record.module)],
+                            [2, $('<span>').text('{0} {1}'.format(record.kind.replace('SendMessagetoServer', 'Message').replace('SendServerAction', 'Action'), record.code))],
+                            [5, $('<small>').text(payload.length > 150 ? payload.substr(0, 147) + '...' : payload)]
+                        ], false);
+                    });
+                };
+                aWindow = new Modal('aDryRunModal', utils.getImageTag('icon_dice.png', '45px') + ' Dry Run Recorder');
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        $('<center>').text('Dry run is {0} | {1} recorded calls | Full log: auto/logs/dryrun.log'.format(aSession.dryRun ? 'On' : 'Off', aNet.records.length)),
+                        $('<br>'),
+                        createTableRow([
+                            [2, 'Time'],
+                            [3, 'Module'],
+                            [2, 'Call'],
+                            [5, 'Payload']
+                        ], true)
+                    ].concat(rows()))
+                );
+                aWindow.Footer().prepend($("<button>").attr({ 'class': "btn btn-primary pull-left" }).text('Clear').click(function () {
+                    aNet.records = [];
+                    aUI.modals.DryRun();
+                }));
+                aWindow.show();
+            } catch (e) { console.error(e) }
+        },
+        Logs: function () {
+            try {
+                const logPath = aConsoleLogger.getLogPath() || air.File.applicationDirectory.resolvePath('auto/logs/console.log').nativePath;
+                const colors = { ERROR: '#ff6666', WARN: '#ffcc66', INFO: '#99ccff', SESSION: '#99ff99' };
+                var entries = [];
+                // Bytes of the current log already parsed, Follow only reads what was appended after them
+                var offset = 0;
+                // Log entries of a text appended to result, lines without a "[TYPE] [time]" prefix belong to the previous entry
+                var parse = function (text, result) {
+                    result = result || [];
+                    if (!text) return result;
+                    text.split(/\r?\n/).forEach(function (line) {
+                        const match = /^\[([A-Z]+)\] \[([0-9-]+ [0-9:]+)\] (.*)$/.exec(line);
+                        if (match) {
+                            const category = /^\[DEBUG ([^\]]+)\]/.exec(match[3]);
+                            result.push({ level: match[1], time: match[2], category: category ? category[1] : '', text: line });
+                        } else if (line && result.length) {
+                            result[result.length - 1].text += '\n' + line;
+                        }
+                    });
+                    return result;
+                };
+                // Complete lines of the current log from a byte offset, a line still being written is left for the next read
+                var read = function (from) {
+                    const file = new air.File(logPath);
+                    const bytes = new air.ByteArray();
+                    const stream = new air.FileStream();
+                    stream.open(file, air.FileMode.READ);
+                    stream.position = from;
+                    stream.readBytes(bytes, 0, file.size - from);
+                    stream.close();
+                    var end = bytes.length;
+                    while (end > 0) {
+                        bytes.position = end - 1;
+                        if (bytes.readUnsignedByte() === 10) break;
+                        end--;
+                    }
+                    bytes.position = 0;
+                    offset = from + end;
+                    return bytes.readUTFBytes(end);
+                };
+                var load = function () {
+                    const source = $('#aLogs_Source').val();
+                    entries = [];
+                    offset = 0;
+                    // Oldest rotated file first so entries stay in time order
+                    for (var i = aSettings.defaults.Debug.keepRotatedLogs; i >= 0; i--) {
+                        if (source !== 'all' && parseInt(source) !== i) continue;
+                        const path = i ? logPath + '.' + i : logPath;
+                        if (new air.File(path).exists) entries = parse(i ? aUtils.file.Read(path, true) : read(0), entries);
+                    }
+                };
+                // Appends new lines of the current log, reloads when it was rotated
+                var follow = function () {
+                    const file = new air.File(logPath);
+                    if (!file.exists || file.size < offset) return refresh();
+                    if (file.size === offset) return;
+                    parse(read(offset), entries);
+                    render();
+                };
+                var filtered = function () {
+                    const level = $('#aLogs_Level').val();
+                    const category = $('#aLogs_Category').val();
+                    const from = $.trim($('#aLogs_From').val());
+                    const to = $.trim($('#aLogs_To').val());
+                    const search = $.trim($('#aLogs_Search').val()).toLowerCase();
+                    return entries.filter(function (entry) {
+                        if (level && entry.level !== level) return false;
+                        if (category && entry.category !== category) return false;
+                        // Times are "YYYY-MM-DD HH:MM:SS", a prefix compares in order
+                        if (from && entry.time < from) return false;
+                        if (to && entry.time.substr(0, to.length) > to) return false;
+                        return !search || entry.text.toLowerCase().indexOf(search) !== -1;
+                    });
+                };
+                var render = function () {
+                    const list = filtered();
+                    const shown = list.slice(-LIMITS.LOG_VIEWER_LINES);
+                    $('#aLogs_State').text('{0} of {1} entries{2}'.format(list.length, entries.length,
+                        list.length > shown.length ? ', showing the last ' + shown.length : ''));
+                    $('#aLogs_List').empty().append(shown.map(function (entry) {
+                        return $('<div>').css({ 'white-space': 'pre-wrap', 'font-family': 'monospace', 'font-size': '11px', 'color': colors[entry.level] || '' }).text(entry.text);
+                    }));
+                    $('#aLogs_List').scrollTop($('#aLogs_List').prop('scrollHeight'));
+                };
+                var refresh = function () {
+                    load();
+                    render();
+                };
+                var input = function (id, placeholder, value) {
+                    return $('<input>', { 'id': id, 'class': 'form-control', 'type': 'text', 'placeholder': placeholder, 'value': value || '' });
+                };
+                var source = aUtils.create.Select('aLogs_Source')
+                    .append($('<option>', { value: '0' }).text('console.log'))
+                    .append($('<option>', { value: 'all' }).text('All files'));
+                for (var i = 1; i <= aSettings.defaults.Debug.keepRotatedLogs; i++)
+                    source.append($('<option>', { value: i }).text('console.log.' + i));
+                var level = aUtils.create.Select('aLogs_Level')
+                    .append($('<option>', { value: '' }).text('All levels'))
+                    .append(['LOG', 'INFO', 'WARN', 'ERROR', 'SESSION'].map(function (name) {
+                        return $('<option>', { value: name }).text(name);
+                    }));
+                var category = aUtils.create.Select('aLogs_Category')
+                    .append($('<option>', { value: '' }).text('All categories'))
+                    .append($.map(aDebug.categories, function (entry, name) {
+                        return $('<option>', { value: name }).text(name);
+                    }));
 
-                var existingGridPosMenu = window.nativeWindow.menu.getItemByName("GridPosMenu");
-                if (aSettings.defaults.Auto.showGrid) {
-                    if (existingGridPosMenu === null) {
-                        MenuItem = new air.NativeMenuItem("Grid : ---");
-                        MenuItem.name = "GridPosMenu";
-                        MenuItem.enabled = false;
-                        window.nativeWindow.menu.addItem(MenuItem);
-                        window.nativeWindow.stage.addEventListener("click", auto.generateGrid);
+                aWindow = new Modal('aLogsModal', utils.getImageTag('icon_dice.png', '45px') + ' Logs');
+                aWindow.size = 'modal-lg';
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        createTableRow([
+                            [3, source],
+                            [3, level],
+                            [3, category],
+                            [3, input('aLogs_Search', 'Search...')]
+                        ]),
+                        createTableRow([
+                            [3, input('aLogs_From', 'From YYYY-MM-DD HH:MM')],
+                            [3, input('aLogs_To', 'To YYYY-MM-DD HH:MM')],
+                            [3, $('<label>').append([$('<input>', { 'id': 'aLogs_Follow', 'type': 'checkbox', 'checked': true }), ' Follow current log'])],
+                            [3, aUtils.create.Span('aLogs_State', '')]
+                        ]),
+                        $('<div>', { 'id': 'aLogs_List' }).css({ 'max-height': '420px', 'overflow-y': 'auto', 'background': '#111', 'padding': '4px' })
+                    ])
+                );
+                aWindow.withBody('#aLogs_Source').change(refresh);
+                aWindow.withBody('#aLogs_Level, #aLogs_Category').change(render);
+                aWindow.withBody('#aLogs_Search, #aLogs_From, #aLogs_To').on('input', render);
+                aWindow.Footer().prepend([
+                    $("<button>").attr({ 'class': "btn btn-primary pull-left" }).text('Copy last').click(function () {
+                        const count = parseInt($('#aLogs_CopyCount').val()) || 200;
+                        const text = filtered().slice(-count).map(function (entry) { return entry.text; }).join('\n');
+                        air.Clipboard.generalClipboard.setData(air.ClipboardFormats.TEXT_FORMAT, text);
+                        aUI.Alert('Copied {0} log entries'.format(Math.min(count, filtered().length)));
+                    }),
+                    $('<input>', { 'id': 'aLogs_CopyCount', 'class': 'form-control pull-left', 'type': 'number', 'min': 1, 'value': 200 }).css('width', '80px'),
+                    $("<button>").attr({ 'class': "btn btn-primary pull-left" }).text('Refresh').click(refresh)
+                ]);
+                refresh();
+                aWindow.show();
+                if (game.auto.aLogsViewID) clearInterval(game.auto.aLogsViewID);
+                game.auto.aLogsViewID = setInterval(function () {
+                    if (!$('#aLogsModal:visible').length) {
+                        clearInterval(game.auto.aLogsViewID);
+                        game.auto.aLogsViewID = null;
+                        return;
                     }
-                } else {
-                    if (existingGridPosMenu) {
-                        window.nativeWindow.menu.removeItem(existingGridPosMenu);
-                        window.nativeWindow.stage.removeEventListener("click", auto.generateGrid);
+                    if ($('#aLogs_Follow').is(':checked') && $('#aLogs_Source').val() === '0')
+                        follow();
+                }, TIMEOUTS.LOG_VIEWER_REFRESH);
+            } catch (e) { console.error(e) }
+        },
+        Report: function (day) {
+            try {
+                const days = aLedger.days();
+                day = typeof day === 'string' ? day : (days[0] || aLedger.day());
+                const data = aLedger.load(day);
+                const summary = aLedger.summary(data.records);
+                var daySelect = aUtils.create.Select('aReport_Day').append(days.map(function (name) {
+                    return $('<option>', { value: name }).text(name);
+                }));
+                var totals = $.map(aLedger.TYPES, function (label, type) {
+                    const items = $.map(summary[type].items, function (amount, name) {
+                        return '{0} x{1}'.format(type === 'trade' ? name : aUtils.game.getText(name), aUtils.format.num(amount));
+                    }).join(', ');
+                    return createTableRow([
+                        [4, label],
+                        [2, aUtils.format.num(summary[type].count)],
+                        [6, $('<small>').text(type === 'adventure' && items ? 'Lost: ' + items : items)]
+                    ], false);
+                });
+                var details = data.records.slice().reverse().map(function (entry) {
+                    return createTableRow([
+                        [3, aUtils.format.Date(entry.time)],
+                        [3, aLedger.TYPES[entry.type] || entry.type],
+                        [6, $('<small>').text(aLedger.describe(entry))]
+                    ], false);
+                });
+                aWindow = new Modal('aReportModal', utils.getImageTag('icon_dice.png', '45px') + ' Activity Report');
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        createTableRow([[4, 'Day:'], [8, daySelect]]),
+                        $('<br>'),
+                        createTableRow([[4, 'Activity'], [2, 'Count'], [6, 'Details']], true)
+                    ].concat(totals).concat([
+                        $('<br>'),
+                        createTableRow([[3, 'Time'], [3, 'Activity'], [6, '']], true)
+                    ]).concat(details.length ? details : [createTableRow([[12, 'Nothing recorded on this day']])]))
+                );
+                aWindow.withBody('#aReport_Day').val(day).change(function () {
+                    aUI.modals.Report($(this).val());
+                });
+                aWindow.Footer().prepend([
+                    $("<button>").attr({ 'class': "btn btn-primary pull-left" }).text('Export JSON').click(function () {
+                        aUtils.file.Export('activity-{0}.json'.format(day), JSON.stringify({ date: day, summary: summary, records: data.records }, null, 2));
+                    }),
+                    $("<button>").attr({ 'class': "btn btn-primary pull-left" }).text('Export CSV').click(function () {
+                        aUtils.file.Export('activity-{0}.csv'.format(day), aLedger.toCSV(data));
+                    })
+                ]);
+                aWindow.show();
+            } catch (e) { console.error(e) }
+        },
+        Profiles: function () {
+            try {
+                var refresh = function () {
+                    const data = aProfiles.read();
+                    const names = Object.keys(data.list).sort();
+                    $('#aProfilesList').empty().append(names.length ? names.map(function (name) {
+                        const profile = data.list[name];
+                        return createTableRow([
+                            [3, $('<span>').text((name === data.active ? '-> ' : '') + name)],
+                            [5, $('<small>').text(Object.keys(profile.sections).join(', '))],
+                            [4, [
+                                $('<button>', { 'class': 'btn btn-xs', 'style': 'color:#000;', 'data-op': 'apply', 'data-name': name }).text('Apply'),
+                                $('<button>', { 'class': 'btn btn-xs', 'style': 'color:#000;', 'data-op': 'update', 'data-name': name, 'title': 'Overwrite with current settings' }).text('Update'),
+                                $('<button>', { 'class': 'btn btn-xs', 'style': 'color:#000;', 'data-op': 'delete', 'data-name': name }).text('Delete')
+                            ]]
+                        ], false);
+                    }) : createTableRow([[12, 'No profiles saved yet']]));
+                };
+                aWindow = new Modal('aProfilesModal', utils.getImageTag('icon_dice.png', '45px') + ' Settings Profiles');
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        createTableRow([
+                            [4, 'Profile name'],
+                            [8, $('<input>', { 'id': 'aProfiles_Name', 'class': 'form-control', 'type': 'text', 'placeholder': 'e.g. Event, Overnight' })]
+                        ]),
+                        createTableRow([[12, 'Sections saved from the current settings:']]),
+                        createTableRow([[12, aProfiles.SECTIONS.map(function (section) {
+                            return $('<label>', { 'style': 'margin-right:10px;' }).append([
+                                $('<input>', { 'type': 'checkbox', 'class': 'aProfiles_Section', 'value': section }),
+                                ' ' + section
+                            ]);
+                        })]]),
+                        $('<br>'),
+                        createTableRow([
+                            [3, 'Profile'],
+                            [5, 'Sections'],
+                            [4, '']
+                        ], true),
+                        $('<div>', { 'id': 'aProfilesList' })
+                    ])
+                );
+                aWindow.withBody('#aProfilesList').on('click', 'button', function () {
+                    const name = $(this).attr('data-name');
+                    switch ($(this).attr('data-op')) {
+                        case 'apply':
+                            aProfiles.apply(name);
+                            break;
+                        case 'update':
+                            aProfiles.save(name, Object.keys(aProfiles.read().list[name].sections));
+                            break;
+                        case 'delete':
+                            if (confirm('Delete profile "{0}"?'.format(name)))
+                                aProfiles.remove(name);
+                            break;
+                    }
+                    refresh();
+                    aUI.menu.init();
+                });
+                aWindow.Footer().prepend($("<button>").attr({ 'class': "btn btn-primary pull-left" }).text('Save Profile').click(function () {
+                    const name = $.trim($('#aProfiles_Name').val());
+                    const sections = $('.aProfiles_Section:checked').map(function () { return $(this).val(); }).get();
+                    if (!name) return alert('Enter a profile name');
+                    if (!sections.length) return alert('Select at least one section');
+                    if (aProfiles.read().list[name] && !confirm('Overwrite profile "{0}"?'.format(name))) return;
+                    aProfiles.save(name, sections);
+                    refresh();
+                    aUI.menu.init();
+                }));
+                refresh();
+                aWindow.show();
+            } catch (e) { console.error(e) }
+        },
+        SettingsCheck: function () {
+            try {
+                var text = function (value) {
+                    if (value === undefined) return '-';
+                    var json = JSON.stringify(value) || String(value);
+                    return json.length > 60 ? json.substr(0, 57) + '...' : json;
+                };
+                var refresh = function () {
+                    $('#aSettingsCheckState').text('{0} invalid | {1} unknown | {2} missing'.format(
+                        aSettings.issues.filter(function (issue) { return issue.kind === 'invalid'; }).length,
+                        aSettings.issues.filter(function (issue) { return issue.kind === 'unknown'; }).length,
+                        aSettings.issues.filter(function (issue) { return issue.kind === 'missing'; }).length
+                    ));
+                    $('#aSettingsCheckList').empty().append(aSettings.issues.length ? aSettings.issues.map(function (issue, index) {
+                        return createTableRow([
+                            [1, issue.kind],
+                            [4, $('<small>').text(issue.path.join('.'))],
+                            [3, $('<small>').text(text(issue.value))],
+                            [3, $('<small>').text(issue.kind === 'invalid' ? issue.expected : issue.kind === 'missing' ? 'default ' + text(issue.expected) : 'removed')],
+                            [1, $('<button>', { 'class': 'btn btn-xs', 'style': 'color:#000;', 'data-index': index, 'title': 'Reset to default' }).html('&#8634;')]
+                        ], false);
+                    }) : createTableRow([[12, 'All settings are valid']]));
+                    aUI.menu.init();
+                };
+                aWindow = new Modal('aSettingsCheckModal', utils.getImageTag('icon_dice.png', '45px') + ' Settings Check');
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        $('<center>').append(aUtils.create.Span('aSettingsCheckState', '')),
+                        $('<br>'),
+                        createTableRow([
+                            [1, 'Issue'],
+                            [4, 'Setting'],
+                            [3, 'Value'],
+                            [3, 'Expected / Default'],
+                            [1, '']
+                        ], true),
+                        $('<div>', { 'id': 'aSettingsCheckList' })
+                    ])
+                );
+                aWindow.withBody('#aSettingsCheckList').on('click', 'button', function () {
+                    const issue = aSettings.issues[parseInt($(this).attr('data-index'))];
+                    if (issue) aSettings.reset(issue);
+                    refresh();
+                });
+                aWindow.Footer().prepend($("<button>").attr({ 'class': "btn btn-primary pull-left" }).text('Reset All').click(function () {
+                    if (!aSettings.issues.length || !confirm('Reset all {0} entries to their defaults?'.format(aSettings.issues.length))) return;
+                    aSettings.issues.slice().forEach(aSettings.reset);
+                    refresh();
+                }));
+                refresh();
+                aWindow.show();
+            } catch (e) { console.error(e) }
+        },
+        BundleExport: function () {
+            try {
+                var checkbox = function (cls, value, label, checked) {
+                    return $('<label>', { 'style': 'margin-right:10px;' }).append([
+                        $('<input>', { 'type': 'checkbox', 'class': cls, 'value': value, 'checked': checked }),
+                        ' ' + label
+                    ]);
+                };
+                aWindow = new Modal('aBundleModal', utils.getImageTag('icon_dice.png', '45px') + ' Export Bundle');
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        createTableRow([[12, 'Settings sections:']]),
+                        createTableRow([[12, aBundle.sections().map(function (section) {
+                            return checkbox('aBundle_Section', section, section, false);
+                        })]]),
+                        createTableRow([[12, [
+                            checkbox('aBundle_Part', 'templates', 'Adventure templates ({0})'.format(aSettings.defaults.Adventures.templates.length), true),
+                            checkbox('aBundle_Part', 'explorers', 'Explorer template', !!aSettings.defaults.Explorers.template)
+                        ]]]),
+                        createTableRow([[12, '&#10551; Template list, explorer template path and last adventure are not exported as settings']])
+                    ])
+                );
+                aWindow.Footer().prepend($("<button>").attr({ 'class': "btn btn-primary pull-left" }).text('Export').click(function () {
+                    const parts = $('.aBundle_Part:checked').map(function () { return $(this).val(); }).get();
+                    aBundle.exportBundle({
+                        sections: $('.aBundle_Section:checked').map(function () { return $(this).val(); }).get(),
+                        templates: parts.indexOf('templates') !== -1,
+                        explorers: parts.indexOf('explorers') !== -1
+                    });
+                    aWindow.hide();
+                }));
+                aWindow.show();
+            } catch (e) { console.error(e) }
+        },
+        BundleImport: function (path) {
+            try {
+                if (!path) return aUtils.file.Select(function (event) {
+                    aUI.modals.BundleImport(event.currentTarget.nativePath);
+                });
+                const bundle = aBundle.read(path);
+                if (!bundle) return;
+                const plan = aBundle.plan(bundle);
+                var text = function (value) {
+                    if (value === undefined) return '-';
+                    var json = JSON.stringify(value) || String(value);
+                    return json.length > 50 ? json.substr(0, 47) + '...' : json;
+                };
+                aWindow = new Modal('aBundleModal', utils.getImageTag('icon_dice.png', '45px') + ' Import Bundle');
+                aWindow.size = 'modal-lg';
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        $('<center>').text('Exported {0} from v{1} | {2} setting changes | {3} templates'.format(
+                            new Date(bundle.created).toLocaleString(), bundle.version, plan.changes.length, plan.templates.length)),
+                        $('<br>'),
+                        createTableRow([
+                            [6, 'Setting'],
+                            [3, 'Current'],
+                            [3, 'Imported']
+                        ], true)
+                    ].concat(plan.changes.length ? plan.changes.map(function (change) {
+                        return createTableRow([
+                            [6, $('<small>').text(change.path.join('.'))],
+                            [3, $('<small>').text(text(change.from))],
+                            [3, $('<small>').text(text(change.to))]
+                        ], false);
+                    }) : [createTableRow([[12, 'No settings changes']])]).concat(plan.skipped.length ? [
+                        createTableRow([[12, $('<small>').text('Unknown sections skipped: ' + plan.skipped.join(', '))]])
+                    ] : []).concat([
+                        $('<br>'),
+                        createTableRow([
+                            [6, 'Template'],
+                            [3, 'Adventure'],
+                            [3, 'Import']
+                        ], true)
+                    ]).concat(plan.templates.length ? plan.templates.map(function (template) {
+                        return createTableRow([
+                            [6, $('<span>').text(template.entry.label || template.entry.name)],
+                            [3, loca.GetText('ADN', template.entry.name)],
+                            [3, template.duplicate ? 'Already installed' : 'New id']
+                        ], false);
+                    }) : [createTableRow([[12, 'No templates']])]).concat(plan.explorerTemplate ? [
+                        $('<br>'),
+                        createTableRow([[12, $('<span>').text('Explorer template "{0}" is saved to auto/explorers and selected'.format(plan.explorerTemplate.name))]])
+                    ] : []))
+                );
+                aWindow.Footer().prepend($("<button>").attr({ 'class': "btn btn-primary pull-left" }).text('Import').click(function () {
+                    aBundle.apply(plan);
+                    aWindow.hide();
+                }));
+                aWindow.show();
+            } catch (e) { console.error(e) }
+        },
+        History: function () {
+            try {
+                var text = function (value) {
+                    if (value === undefined) return '-';
+                    var json = JSON.stringify(value) || String(value);
+                    return json.length > 50 ? json.substr(0, 47) + '...' : json;
+                };
+                var changeRows = function (changes) {
+                    return changes.length ? changes.map(function (change) {
+                        return createTableRow([
+                            [6, $('<small>').text(change.path.join('.'))],
+                            [3, $('<small>').text(text(change.from))],
+                            [3, $('<small>').text(text(change.to))]
+                        ], false);
+                    }) : [createTableRow([[12, 'No differences']])];
+                };
+                var show = function (time) {
+                    const times = aHistory.list();
+                    const index = times.indexOf(time);
+                    const data = aHistory.read(time);
+                    if (!data) return $('#aHistoryDetail').empty().text('Snapshot could not be read');
+                    const previous = index !== -1 && times[index + 1] ? aHistory.read(times[index + 1]) : null;
+                    const restore = aHistory.diff(aSettings.defaults, data);
+                    const sections = restore.map(function (change) { return change.section; }).filter(function (section, i, all) {
+                        return all.indexOf(section) === i && $.isPlainObject(aSettings.defaults[section]);
+                    });
+                    $('#aHistoryDetail').empty().append([
+                        $('<br>'),
+                        createTableRow([[6, 'Changed in {0}'.format(new Date(time).toLocaleString())], [3, 'Before'], [3, 'After']], true)
+                    ].concat(previous ? changeRows(aHistory.diff(previous, data)) : [createTableRow([[12, 'Oldest snapshot']])]).concat([
+                        $('<br>'),
+                        createTableRow([[6, 'Restoring changes'], [3, 'Current'], [3, 'Snapshot']], true)
+                    ]).concat(changeRows(restore)).concat([
+                        $('<br>'),
+                        createTableRow([[12, [
+                            $('<button>', { 'class': 'btn btn-xs', 'style': 'color:#000;', 'data-time': time }).text('Restore all')
+                        ].concat(sections.map(function (section) {
+                            return $('<button>', { 'class': 'btn btn-xs', 'style': 'color:#000;', 'data-time': time, 'data-section': section }).text('Restore ' + section);
+                        }))]])
+                    ]));
+                };
+                aWindow = new Modal('aHistoryModal', utils.getImageTag('icon_dice.png', '45px') + ' Settings History');
+                aWindow.size = 'modal-lg';
+                aWindow.create();
+                const times = aHistory.list();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        $('<center>').text('{0} snapshots kept (max {1}, set in Settings > Misc)'.format(times.length, aSettings.defaults.Auto.SettingsHistory)),
+                        $('<br>'),
+                        createTableRow([
+                            [4, 'Snapshot'],
+                            [8, aUtils.create.Select('aHistory_Snapshot').append(times.map(function (time) {
+                                return $('<option>', { value: time }).text(new Date(time).toLocaleString());
+                            }))]
+                        ]),
+                        $('<div>', { 'id': 'aHistoryDetail' })
+                    ])
+                );
+                aWindow.withBody('#aHistory_Snapshot').change(function () {
+                    show(parseInt($(this).val()));
+                });
+                aWindow.withBody('#aHistoryDetail').on('click', 'button', function () {
+                    const section = $(this).attr('data-section');
+                    if (!confirm('Restore {0} from this snapshot?'.format(section || 'all settings'))) return;
+                    if (aHistory.restore(parseInt($(this).attr('data-time')), section))
+                        aUI.modals.History();
+                });
+                if (times.length) show(times[0]);
+                else $('#aHistoryDetail').text('No snapshots yet');
+                aWindow.show();
+            } catch (e) { console.error(e) }
+        },
+        TemplateExport: function () {
+            try {
+                aWindow = new Modal('aTemplateExportModal', utils.getImageTag('icon_dice.png', '45px') + ' Export Adventures');
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        createTableRow([
+                            [1, ''],
+                            [6, 'Saved adventure'],
+                            [5, 'Adventure']
+                        ], true)
+                    ].concat(aSettings.defaults.Adventures.templates.length ? aSettings.defaults.Adventures.templates.map(function (entry, index) {
+                        return createTableRow([
+                            [1, $('<input>', { 'type': 'checkbox', 'class': 'aTemplateExport_Item', 'value': index })],
+                            [6, $('<span>').text(entry.label || '-')],
+                            [5, loca.GetText('ADN', entry.name)]
+                        ], false);
+                    }) : [createTableRow([[12, 'No saved adventures']])]).concat([
+                        createTableRow([[12, '&#10551; Home load and step template files are included in the export']])
+                    ]))
+                );
+                aWindow.Footer().prepend($("<button>").attr({ 'class': "btn btn-primary pull-left" }).text('Export').click(function () {
+                    aTemplates.exportTemplates($('.aTemplateExport_Item:checked').map(function () { return parseInt($(this).val()); }).get());
+                }));
+                aWindow.show();
+            } catch (e) { console.error(e) }
+        },
+        Templates: function () {
+            try {
+                const stats = aTemplates.stats();
+                // Template files are read once here, search and tag filtering only use these
+                var cache = {};
+                var load = function () {
+                    cache = { info: {}, orphans: aTemplates.orphans() };
+                    aSettings.defaults.Adventures.templates.forEach(function (entry) {
+                        cache.info[entry.id] = aTemplates.info(entry);
+                    });
+                };
+                var button = function (op, index, text) {
+                    return $('<button>', { 'class': 'btn btn-xs', 'style': 'color:#000;', 'data-op': op, 'data-index': index }).text(text);
+                };
+                var refresh = function () {
+                    const search = $.trim($('#aTemplates_Search').val() || '').toLowerCase();
+                    const tag = $('#aTemplates_Tag').val() || '';
+                    const tags = [];
+                    const rows = [];
+                    aSettings.defaults.Adventures.templates.forEach(function (entry, index) {
+                        const info = cache.info[entry.id];
+                        (entry.tags || []).forEach(function (t) { if (tags.indexOf(t) === -1) tags.push(t); });
+                        const adventure = loca.GetText('ADN', entry.name);
+                        const text = [entry.label || '', adventure, entry.name].concat(entry.tags || []).join(' ').toLowerCase();
+                        if (search && text.indexOf(search) === -1) return;
+                        if (tag && (entry.tags || []).indexOf(tag) === -1) return;
+                        const run = stats[entry.id];
+                        rows.push(createTableRow([
+                            [2, $('<span>').text(entry.label || '-').append($('<br>'), $('<small>').text(adventure))],
+                            [2, info ? $('<small>', { 'title': info.generals.join(', ') }).text('{0}: {1}'.format(info.generals.length, info.generals.slice(0, 3).join(', ') + (info.generals.length > 3 ? '...' : ''))) : 'File missing'],
+                            [1, info ? aUtils.format.num(info.units) : '-'],
+                            [1, info ? info.steps : '-'],
+                            [2, run ? $('<small>').text('{0} ({1}x)'.format(aUtils.format.Date(run.last), run.runs)) : '-'],
+                            [1, run && run.average ? aUtils.format.Time(run.average) : '-'],
+                            [1, $('<small>').text((entry.tags || []).join(', '))],
+                            [2, [
+                                button('check', index, 'Check'),
+                                button('duplicate', index, 'Copy'),
+                                button('rename', index, 'Rename'),
+                                button('tags', index, 'Tags'),
+                                button('delete', index, 'Delete')
+                            ]]
+                        ], false));
+                    });
+                    cache.orphans.forEach(function (id) {
+                        rows.push(createTableRow([
+                            [10, $('<small>').text('auto/templates/{0}.json is not in the saved adventures'.format(id))],
+                            [2, button('register', id, 'Register')]
+                        ], false));
+                    });
+                    const select = $('#aTemplates_Tag');
+                    select.empty().append($('<option>', { value: '' }).text('All tags')).append(tags.sort().map(function (t) {
+                        return $('<option>', { value: t }).text(t);
+                    })).val(tag);
+                    $('#aTemplatesList').empty().append(rows.length ? rows : createTableRow([[12, 'No saved adventures found']]));
+                };
+                aWindow = new Modal('aTemplatesModal', utils.getImageTag('icon_dice.png', '45px') + ' Adventure Library');
+                aWindow.size = 'modal-lg';
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        createTableRow([
+                            [8, $('<input>', { 'id': 'aTemplates_Search', 'class': 'form-control', 'type': 'text', 'placeholder': 'Search label, adventure or tag' })],
+                            [4, aUtils.create.Select('aTemplates_Tag')]
+                        ]),
+                        $('<br>'),
+                        createTableRow([
+                            [2, 'Label'],
+                            [2, 'Generals'],
+                            [1, 'Units'],
+                            [1, 'Steps'],
+                            [2, 'Last run'],
+                            [1, 'Avg time'],
+                            [1, 'Tags'],
+                            [2, '']
+                        ], true),
+                        $('<div>', { 'id': 'aTemplatesList' })
+                    ])
+                );
+                aWindow.withBody('#aTemplates_Search').on('keyup', refresh);
+                aWindow.withBody('#aTemplates_Tag').change(refresh);
+                aWindow.withBody('#aTemplatesList').on('click', 'button', function () {
+                    const index = parseInt($(this).attr('data-index'));
+                    const entry = aSettings.defaults.Adventures.templates[index];
+                    var value;
+                    switch ($(this).attr('data-op')) {
+                        case 'check':
+                            value = aTemplates.lint(aUtils.file.Read(aTemplates.path(entry.id)));
+                            aWindow.settings(function () { aWindow.shide(); });
+                            aWindow.sTitle().html("{0} {1}".format(utils.getImageTag('icon_dice.png', '45px'), $('<span>').text(entry.label || loca.GetText('ADN', entry.name)).html()));
+                            aWindow.sData().append(aUtils.create.container().append([
+                                createTableRow([[2, 'Level'], [1, 'Step'], [9, 'Problem']], true)
+                            ].concat(value.length ? value.map(function (issue) {
+                                return createTableRow([[2, issue.level], [1, issue.step || '-'], [9, $('<span>').text(issue.message)]], false);
+                            }) : [createTableRow([[12, 'No problems found']])])));
+                            aWindow.sshow();
+                            return;
+                        case 'duplicate':
+                            if (!aTemplates.duplicate(index)) aUI.Alert('Adventure could not be copied', 'ERROR');
+                            break;
+                        case 'rename':
+                            value = prompt('Custom adventure name', entry.label || '');
+                            if (value === null) return;
+                            entry.label = value;
+                            aSettings.save();
+                            break;
+                        case 'tags':
+                            value = prompt('Tags (comma separated)', (entry.tags || []).join(', '));
+                            if (value === null) return;
+                            entry.tags = $.map(value.split(','), function (t) { return $.trim(t) || null; });
+                            aSettings.save();
+                            break;
+                        case 'delete':
+                            if (!confirm('Delete {0}?'.format(entry.label || loca.GetText('ADN', entry.name)))) return;
+                            aTemplates.remove(index);
+                            break;
+                        case 'register':
+                            value = aUtils.file.Read(aTemplates.path($(this).attr('data-index')));
+                            if (!value || !value.name) return aUI.Alert('Not an adventure template', 'ERROR');
+                            aSettings.defaults.Adventures.templates.push({ label: prompt('Custom adventure name') || '', name: value.name, id: index });
+                            aSettings.save();
+                            break;
                     }
-                }
-                if (!menu.nativeMenu.getItemByName("Automation").submenu)
+                    aUI.modals.settings.loadSavedAdventures();
                     aUI.menu.init();
+                    load();
+                    refresh();
+                });
+                load();
+                refresh();
+                aWindow.show();
             } catch (e) { console.error(e) }
         },
-        savedItems: function () {
+        Preflight: function (report, adventure, runs, start) {
             try {
-                var items = [];
-                $.each(aAdventure.data.getAdventures(), function (category, adventures) {
-                    var catAdvs = [];
-                    if (category === 'Scenario') {
-                        $.each(adventures, function (i, scenario) {
-                            catAdvs.push(aUI.menu.itemMaker({ name: scenario }, catAdvs.length));
-                        });
-                    } else {
-                        $.each(aSettings.defaults.Adventures.templates, function (index, template) {
-                            if (adventures.indexOf(template.name) === -1) return;
-                            catAdvs.push(aUI.menu.itemMaker(template, catAdvs.length));
-                        });
-                    }
-                    if (catAdvs.length)
-                        items.push({ label: category, items: catAdvs });
-                });
-                return items;
+                const icons = { ok: '&#10004;', warning: '&#9888;', error: '&#10006;' };
+                aWindow = new Modal('aPreflightModal', utils.getImageTag('icon_dice.png', '45px') + ' Pre-flight Check');
+                aWindow.create();
+                aWindow.Body().empty().append(
+                    aUtils.create.container().append([
+                        $('<center>').text('{0} x{1}: {2}'.format(loca.GetText('ADN', adventure), runs, report.ready ? 'ready with warnings' : 'not ready')),
+                        $('<br>'),
+                        createTableRow([
+                            [1, ''],
+                            [4, 'Check'],
+                            [7, 'Result']
+                        ], true)
+                    ].concat(report.checks.map(function (check) {
+                        return createTableRow([
+                            [1, icons[check.level]],
+                            [4, $('<span>').text(check.label)],
+                            [7, $('<small>').text(check.detail)]
+                        ], false);
+                    })).concat(report.fixes.length ? [
+                        $('<br>'),
+                        createTableRow([[12, 'Proposed fixes']], true)
+                    ].concat(report.fixes.map(function (fix, i) {
+                        return createTableRow([[12, $('<span>').text('{0}. {1}'.format(i + 1, fix))]], false);
+                    })) : []))
+                );
+                aWindow.Footer().prepend($("<button>").attr({ 'class': "btn btn-primary pull-left" }).text(report.ready ? 'Start' : 'Start Anyway').click(function () {
+                    aWindow.hide();
+                    start();
+                }));
+                aWindow.show();
             } catch (e) { console.error(e) }
         },
-        itemMaker: function (template, len) {
-            const name = "{0}".format(template.id || template.name);
-            const amount = aBuffs.getBuffAmount(['Adventure', template.name]);
-            const label = "{0}{1}. {2} x{3}".format(
-                name === aUI.menu.SelectedAdventure ? "-> " : "",
-                (len + 1),
-                template.label || loca.GetText('ADN', template.name),
-                amount
-            );
-            return { label: label, enabled: (amount || aAdventure.info.getActiveAdvetureID(template.name)) ? true : false, name: name, onSelect: aUI.menu.startAutoAdventure };
-        },
-        featureLabel: function (feature) {
-            const name = feature.replace(/_/g, "");
-            const label = aUtils.format.Capitalize(feature.replace(/_/g, " "))
-            return "{0} Auto {1}".format(aSession.isOn[name] ? "Stop" : "Start", label);
-        },
-        toggleFeature: function (feature, event) {
-            const name = feature.replace(/_/g, "");
-            const run = !aSession.isOn[name];
-            const label = aUtils.format.Capitalize(feature.replace(/_/g, " "));
-            aSession.isOn[name] = run;
-            event.target.label = "{0} Auto {1}".format(run ? "Stop" : "Start", label)
-            aUI.Alert("Auto {1} is {0}".format(run ? "On" : "Off", label), 'QUEST');
-        },
-        startAutoAdventure: function (event) {
+        Schedule: function () {
             try {
-                if (!confirm('Are you sure you want to start this auto adventure?')) return;
-                aSession.adventure.repeatCount = 0;
-                aSession.adventure.reset();
-                var adventure = isNaN(parseInt(event.target.name)) ?
-                    game.auto.resources[event.target.name.replace('BuffAdventures_', '')] :
-                    aUtils.file.Read(aUtils.file.getPath(0, event.target.name));
-
-                const AdventureActive = aAdventure.info.getActiveAdvetureID(adventure.name) ? 1 : 0;
-                const mapCount = aBuffs.getBuffAmount(['Adventure', adventure.name]) + AdventureActive;
-                if (mapCount < 1)
-                    return aUI.Alert("You don't have any adventure maps for this adventure!", "ERROR");
-
-                var repeat = confirm("Repeat the adventure as many as you have? x{0}".format(mapCount));
-                aSession.adventure.repeatCount = mapCount;
-                if (!repeat) {
-                    var userCount = parseInt(prompt("Repeat count !? defaults: 1"));
-                    aSession.adventure.repeatCount = isNaN(userCount) ? 1 : (userCount > mapCount ? mapCount : userCount);
+                const features = Object.keys(aSettings.defaults.Schedule);
+                var save = function () {
+                    try {
+                        var invalid = [], schedule = {};
+                        features.forEach(function (feature) {
+                            const windows = $.map(aWindow.withsBody('#aSchedule_Windows_' + feature).val().split(','), function (text) {
+                                text = $.trim(text);
+                                if (!text) return null;
+                                if (!aSchedule.parse(text)) invalid.push('{0}: {1}'.format(feature, text));
+                                return text;
+                            });
+                            schedule[feature] = {
+                                windows: windows,
+                                condition: aWindow.withsBody('#aSchedule_Condition_' + feature).val()
+                            };
+                        });
+                        if (invalid.length)
+                            return alert('Invalid time windows (use HH:MM-HH:MM, 00:00 to 23:59):\n' + invalid.join('\n'));
+                        $.extend(aSettings.defaults.Schedule, schedule);
+                        aSettings.save(true);
+                        aWindow.shide();
+                    } catch (e) { console.error(e) }
                 }
-
-                $.extend(aSession.adventure, adventure);
-                delete aSession.adventure.hash;
-                aSession.adventure.id = event.target.name;
-                aUI.Alert(loca.GetText('ADN', adventure.name) + " is selected", adventure.name);
-                aSession.isOn.Adventure = true;
-                aUI.modals.adventure.AM_LoadInfo();
-                aUI.menu.SelectedAdventure = event.target.name;
-                aUI.menu.init();
-            } catch (e) { console.error(e) }
-        }
-    },
-    modals: {
-        Changelog: function () {
-            if (!auto.update.changelog) {
-                $.get(auto.update.url() + 'version.json', function (data) {
-                    var json = JSON.parse(data);
-                    auto.update.changelog = json.changelog;
-                    aUI.modals.Changelog();
-                });
-                return;
-            }
-            $("div[role='dialog']:not(#aChangelogModal):visible").modal("hide");
-            $('#aChangelogModal').remove();
-            createModalWindow('aChangelogModal', utils.getImageTag('icon_dice.png', '45px') + ' Changelog');
-            var data = $.map(Object.keys(auto.update.changelog).reverse(), function (v) {
-                var r = [
-                    createTableRow([[11, "Version: {0}".format(v)], [1, ""]], true)
-                ];
-                $.each(auto.update.changelog[v], function (i, f) {
-                    r.push(createTableRow([[11, "&#10551; {0}".format(f)], [1, ""]], false));
+                var conditionSelect = function (feature) {
+                    return aUtils.create.Select('aSchedule_Condition_' + feature)
+                        .append($('<option>', { value: '' }).text('Always'))
+                        .append($.map(aSchedule.conditions, function (condition, name) {
+                            return $('<option>', { value: name }).text(condition.label);
+                        }));
+                };
+                aWindow.settings(save);
+                aWindow.sDialog().css("height", "80%");
+                aWindow.sTitle().html("{0} {1}".format(
+                    utils.getImageTag('icon_dice.png', '45px'),
+                    "Feature Schedule")
+                );
+                aWindow.sData().append(
+                    aUtils.create.container().append([
+                        createTableRow([
+                            [3, 'Feature'],
+                            [5, 'Active windows'],
+                            [4, 'Condition']
+                        ], true),
+                    ].concat(features.map(function (feature) {
+                        return createTableRow([
+                            [3, aUtils.format.Capitalize(feature.replace(/([a-z])([A-Z])/g, '$1 $2'))],
+                            [5, $('<input>', {
+                                'id': 'aSchedule_Windows_' + feature,
+                                'class': 'form-control',
+                                'type': 'text',
+                                'placeholder': 'Always (e.g. 08:00-23:00, 23:30-02:00)',
+                                'value': aSettings.defaults.Schedule[feature].windows.join(', ')
+                            })],
+                            [4, conditionSelect(feature)]
+                        ]);
+                    })).concat([
+                        createTableRow([[12, '&#10551; Empty means always, windows ending before they start run over midnight']])
+                    ]))
+                );
+                features.forEach(function (feature) {
+                    aWindow.withsBody('#aSchedule_Condition_' + feature).val(aSettings.defaults.Schedule[feature].condition || '');
                 });
-                r.push($('<br>'));
-                return r;
-            });
-            $('#aChangelogModalData').append(
-                aUtils.create.container().append([].concat(data))
-            )
-            $('#aChangelogModal:not(:visible)').modal({ backdrop: "static" });
-        },
-        settings: {
-            loadSavedAdventures: function () {
-                $("#aAdventure_SavedPool").empty().append(aSettings.defaults.Adventures.templates.map(function (adv, i) {
-                    return $('<option>', { value: i }).text(adv.label || loca.GetText('ADN', adv.name));
-                }));
-            }
+                aWindow.sshow();
+            } catch (e) { console.error(e) }
         },
         Settings: function () {
             try {
@@ -2248,6 +6051,13 @@ const aUI = {
                         [1, aUtils.create.SettingsImg('aLootables_Menu')]
                     ]),
                     $('<br>'),
+                    createTableRow([[9, 'Schedule'], [3, '&nbsp;']], true),
+                    createTableRow([
+                        [9, 'Limit features to time windows'],
+                        [2, '&nbsp;'],
+                        [1, aUtils.create.SettingsImg('aSchedule_Menu')]
+                    ]),
+                    $('<br>'),
                     createTableRow([[9, 'Auto Collect'], [3, '&nbsp;']], true),
                     createTableRow([
                         [9, "Pickups"],
@@ -2276,6 +6086,11 @@ const aUI = {
                         [3, $('<input>', { 'id': 'aScript_KeepBackups', 'class': 'form-control', 'type': 'number', 'min': '0', 'max': '10', 'value': aSettings.defaults.Auto.KeepBackups })],
                     ]),
                     createTableRow([[12, '&#10551; Older backups are automatically deleted (0 = keep all)']]),
+                    createTableRow([
+                        [9, "Keep last X settings snapshots"],
+                        [3, $('<input>', { 'id': 'aScript_SettingsHistory', 'class': 'form-control', 'type': 'number', 'min': '0', 'max': '200', 'value': aSettings.defaults.Auto.SettingsHistory })],
+                    ]),
+                    createTableRow([[12, '&#10551; Taken when saved settings change, see Automation > Settings History (0 = off)']]),
                     $('<br>'),
                     createTableRow([[9, 'Security'], [3, '&nbsp;']], true),
                     createTableRow([
@@ -2289,28 +6104,22 @@ const aUI = {
                         [9, "Enable debug logging"],
                         [3, createSwitch('aDebug_EnableLogging', aSettings.defaults.Debug.enableLogging)],
                     ]),
-                    createTableRow([
-                        [9, "&#10551; Log adventure events"],
-                        [3, createSwitch('aDebug_LogAdventures', aSettings.defaults.Debug.logAdventures)],
-                    ]),
-                    createTableRow([
-                        [9, "&#10551; Log combat events"],
-                        [3, createSwitch('aDebug_LogCombat', aSettings.defaults.Debug.logCombat)],
-                    ]),
-                    createTableRow([
-                        [9, "&#10551; Log explorer events"],
-                        [3, createSwitch('aDebug_LogExplorer', aSettings.defaults.Debug.logExplorer)],
-                    ]),
-                    createTableRow([
-                        [9, "&#10551; Log geologists events"],
-                        [3, createSwitch('aDebug_LogGeologists', aSettings.defaults.Debug.logGeologists)],
-                    ]),
+                ].concat($.map(aDebug.categories, function (category, name) {
+                    return createTableRow([
+                        [9, "&#10551; Log " + category.label],
+                        [3, createSwitch('aDebug_Log_' + name, aSettings.defaults.Debug[category.setting])],
+                    ]);
+                })).concat([
                     $('<br>'),
                     createTableRow([[9, 'File Logging'], [3, '&nbsp;']], true),
                     createTableRow([
                         [9, "Enable file logging:"],
                         [3, createSwitch('aDebug_LogToFile', aSettings.defaults.Debug.logToFile)],
                     ]),
+                    createTableRow([
+                        [9, "&#10551; Also write JSON lines (logs/console.jsonl):"],
+                        [3, createSwitch('aDebug_LogJson', aSettings.defaults.Debug.logJson)],
+                    ]),
                     createTableRow([
                         [4, "Max log file size (KB):"],
                         [4, $('<input>', { 'id': 'aDebug_MaxLogFileSize', 'class': 'form-control', 'type': 'number', 'value': aSettings.defaults.Debug.maxLogFileSize, 'min': 0 })],
@@ -2332,6 +6141,20 @@ const aUI = {
                         [9, "Increase lost connection timeout to 120s:"],
                         [3, createSwitch('aScript_IncreaseTimeout', aSettings.defaults.Auto.increaseTimeout)],
                     ]),
+                    createTableRow([
+                        [9, "Recover stuck automation (watchdog):"],
+                        [3, createSwitch('aScript_Watchdog', aSettings.defaults.Auto.Watchdog)],
+                    ]),
+                    createTableRow([
+                        [4, "Retry failed actions:"],
+                        [4, $('<input>', { 'id': 'aScript_RetryAttempts', 'class': 'form-control', 'type': 'number', 'value': aSettings.defaults.Auto.RetryAttempts, 'min': 1, 'max': 10 })],
+                        [4, ' attempts']
+                    ]),
+                    createTableRow([
+                        [4, "First retry after:"],
+                        [4, $('<input>', { 'id': 'aScript_RetryBackoff', 'class': 'form-control', 'type': 'number', 'value': aSettings.defaults.Auto.RetryBackoff, 'min': 1 })],
+                        [4, ' seconds (doubled on each retry)']
+                    ]),
                     $('<br>'),
                     createTableRow([[9, 'Tweaks'], [3, '&nbsp;']], true),
                     createTableRow([
@@ -2366,7 +6189,7 @@ const aUI = {
                     createTableRow([[9, 'Developpers'], [3, '&nbsp;']], true),
                     createTableRow([[9, 'Show Grid'], [3, createSwitch('autoShowGrid', aSettings.defaults.Auto.showGrid)]]),
 
-                ]);
+                ]));
                 tabcontent.append([
                     $('<div>', { 'class': 'tab-pane fade in active', 'id': 'menu_Specialists' }).append(specialistsMenu),
                     $('<div>', { 'class': 'tab-pane fade', 'id': 'menu_MailTrade' }).append(mailTradeMenu),
@@ -2375,6 +6198,11 @@ const aUI = {
                     $('<div>', { 'class': 'tab-pane fade', 'id': 'menu_Tools' }).append(toolsMenu),
                     $('<div>', { 'class': 'tab-pane fade', 'id': 'menu_Misc' }).append(miscMenu)
                 ]);
+                $.each(aExtensions.each('settings', 'build'), function (name, content) {
+                    const id = 'menu_ext_' + name.replace(/\W/g, '_');
+                    tabs.append($('<li>').append($('<a>', { 'data-toggle': 'tab', 'href': '#' + id }).text(aExtensions.registry[name].settings.label || name)));
+                    tabcontent.append($('<div>', { 'class': 'tab-pane fade', 'id': id }).append(content));
+                });
                 aWindow.Body().html(tabs.prop("outerHTML") + '<br>' + tabcontent.prop("outerHTML"));
                 aWindow.withBody('div.row').addClass('nohide');
                 aWindow.withBody('.nav-justified > li').css("width", "20%");
@@ -2385,6 +6213,7 @@ const aUI = {
                 aWindow.withBody('#aQuests_ExplorerTask_Adventure').click(function () { aUI.modals.SelectExplorersForQuests('AdventureZone') });
                 aWindow.withBody('#aTransferToStore_Menu').click(aUI.modals.TransferToStore);
                 aWindow.withBody('#aLootables_Menu').click(aUI.modals.Lootables);
+                aWindow.withBody('#aSchedule_Menu').click(aUI.modals.Schedule);
                 aWindow.withBody('#aMail_Monitor').val(aSettings.defaults.Mail.TimerMinutes);
                 aWindow.withBody('#aMail_FriendsFilter').click(function () { aUI.modals.trade.filterSettings('Friends') });
                 aWindow.withBody('#aMail_ResourcesFilter').click(function () { aUI.modals.trade.filterSettings('Resources') });
@@ -2409,6 +6238,7 @@ const aUI = {
                         aSettings.defaults.Explorers.template = event.currentTarget.nativePath;
                     });
                 });
+                aExtensions.each('settings', 'bind');
                 aWindow.withBody('#aScript_RestartRAM').on('input', function () {
                     $(this).val($(this).val().replace(/[^0-9.]/g, '').replace(/^([^.]*\.)|\./g, '$1'));
 
@@ -2418,17 +6248,22 @@ const aUI = {
                     aSettings.defaults.Auto.AutoUpdate = $('#aScript_AutoUpdate').is(':checked');
                     aSettings.defaults.Auto.CreateBackup = $('#aScript_CreateBackup').is(':checked');
                     aSettings.defaults.Auto.KeepBackups = parseInt($('#aScript_KeepBackups').val()) || 0;
+                    aSettings.defaults.Auto.SettingsHistory = parseInt($('#aScript_SettingsHistory').val()) || 0;
                     aSettings.defaults.Auto.RestartRAM = parseFloat($('#aScript_RestartRAM').val()) || 0;
                     aSettings.defaults.Auto.increaseTimeout = $('#aScript_IncreaseTimeout').is(':checked');
+                    aSettings.defaults.Auto.Watchdog = $('#aScript_Watchdog').is(':checked');
+                    aSettings.defaults.Auto.RetryAttempts = parseInt($('#aScript_RetryAttempts').val()) || 1;
+                    aSettings.defaults.Auto.RetryBackoff = parseInt($('#aScript_RetryBackoff').val()) || 5;
+                    aQueue.watcher();
                     //Security
                     aSettings.defaults.Security.validateFilePaths = $('#aSecurity_ValidateFilePaths').is(':checked');
                     //Debug
                     aSettings.defaults.Debug.enableLogging = $('#aDebug_EnableLogging').is(':checked');
-                    aSettings.defaults.Debug.logAdventures = $('#aDebug_LogAdventures').is(':checked');
-                    aSettings.defaults.Debug.logCombat = $('#aDebug_LogCombat').is(':checked');
-                    aSettings.defaults.Debug.logExplorer = $('#aDebug_LogExplorer').is(':checked');
-                    aSettings.defaults.Debug.logGeologists = $('#aDebug_LogGeologists').is(':checked');
+                    $.each(aDebug.categories, function (name, category) {
+                        aSettings.defaults.Debug[category.setting] = $('#aDebug_Log_' + name).is(':checked');
+                    });
                     aSettings.defaults.Debug.logToFile = $('#aDebug_LogToFile').is(':checked');
+                    aSettings.defaults.Debug.logJson = $('#aDebug_LogJson').is(':checked');
                     aSettings.defaults.Debug.maxLogFileSize = parseInt($('#aDebug_MaxLogFileSize').val()) || 0;
                     aSettings.defaults.Debug.keepRotatedLogs = parseInt($('#aDebug_KeepRotatedLogs').val()) || 3;
                     // Auto Adventures
@@ -2516,6 +6351,8 @@ const aUI = {
                     aSettings.defaults.Lootables.autoStart = $('#aLootables_AutoStart').is(':checked');
                     aSession.isOn.Lootables = aSettings.defaults.Lootables.autoStart;
                     aSettings.defaults.Auto.showGrid = $('#autoShowGrid').is(':checked');
+                    //Extensions
+                    aExtensions.each('settings', 'save');
                     aSettings.save(true);
                     aUtils.game.applyTweaks();
                     aUI.menu.init();
@@ -2755,6 +6592,10 @@ const aUI = {
                     ].concat(aWindow.steps)
                 }
                 template.steps.push({ name: 'LoadGeneralsToEnd' });
+                template.schema = aTemplates.SCHEMA_VERSION;
+                const issues = aTemplates.lint(template);
+                if (issues.length && !confirm('{0}\n\nSave anyway?'.format(aTemplates.report(issues))))
+                    return;
                 template.hash = hash(JSON.stringify(template));
                 var id = aWindow.adventureIndex ?
                     aSettings.defaults.Adventures.templates[aWindow.adventureIndex].id : new Date().getTime();
@@ -2988,18 +6829,18 @@ const aUI = {
                     $('#aAdventureModal').on('click', '#aAdventureToggle', function () {
                         switch ($(this).data('cmd')) {
                             case 'start':
-                                aSession.isOn.Adventure = true;
+                                aSession.setFeature('Adventure', true);
                                 $(this).data('cmd', 'stop').text('Stop');
                                 break;
                             case 'startfrom':
                             case 'continuefrom':
                                 var indexTxt = $('#aAdventureStepsDiv').find(".stepSelected").data('step');
                                 aSession.adventure.index = parseInt(indexTxt);
-                                aSession.isOn.Adventure = true;
+                                aSession.setFeature('Adventure', true);
                                 $(this).data('cmd', 'stop').text('Stop');
                                 break;
                             case 'stop':
-                                aSession.isOn.Adventure = false;
+                                aSession.setFeature('Adventure', false);
                                 $(this).data('cmd', 'start').text('Start');
                                 break;
                         }
@@ -3650,7 +7491,7 @@ const aUI = {
                         $(this).text('Stop')
                         $('#aExcelisorContainer :input:not(#aExcelisorCompleteCollection)').prop('disabled', true);
                         aSession.excelsior.interval = setInterval(function () {
-                            if (!game.gi.isOnHomzone()) return;
+                            if (!game.gi.isOnHomzone() || aNet.pending('invoke:CompleteCollection')) return;
                             globalFlash.gui.mContentGeneratorPanel.Show()
                             globalFlash.gui.mContentGeneratorPanel.Hide();
                             var cat = aBuildings.excelsior.definitions()[aSession.excelsior.sCategory];
@@ -3661,7 +7502,9 @@ const aUI = {
                                 return clearInterval(aSession.excelsior.interval);
                             }
                             updateCollectionInfo(def);
-                            game.gi.mContentGeneratorManager.CompleteCollection(cat.getId(), def.getId());
+                            aNet.invoke('CompleteCollection', function () {
+                                game.gi.mContentGeneratorManager.CompleteCollection(cat.getId(), def.getId());
+                            });
                         }, TIMEOUTS.EXCELSIOR_INTERVAL);
                     }
                 });
@@ -4410,8 +8253,10 @@ const aBuffs = {
     },
     applyBuff: function (buff, grid, amount, responder) {
         try {
-            game.gi.SendServerAction(61, 0, grid, amount || 0, aBuffs.getBuff(buff).GetUniqueId(), responder || null);
-        } catch (e) { }
+            aDebug.log('buffs', 'Applying', buff, 'on grid', grid, 'amount', amount || 0);
+            aNet.sendServerAction(61, 0, grid, amount || 0, aBuffs.getBuff(buff).GetUniqueId(), responder || aQueue.responder());
+            return true;
+        } catch (e) { return false; }
     },
     fullName: function (buff) {
         const full = {
@@ -4455,7 +8300,30 @@ const aBuffs = {
         dSA.endGrid = amount || 0;
         dSA.data = aBuffs.getBuff(buff).GetUniqueId();
         var responder = game.createResponder(function (e, d) { console.log(d) });
-        game.gi.mClientMessages.SendMessagetoServer(61, friend, dSA, responder);
+        aNet.sendMessage(61, friend, dSA, responder);
+    },
+
+    /**
+     * Subscribes to aBus events
+     * @returns {void}
+     */
+    subscribe: function () {
+        aBus.on(aBus.EVENTS.ZONE_LOADED, aBuffs.onZoneLoaded);
+    },
+
+    /**
+     * Moves a buff-on-friend visit (aQueue.actions.friend) on once the friend's or home island is loaded
+     * @param {Object} data - {zoneId, home}
+     * @returns {void}
+     */
+    onZoneLoaded: function (data) {
+        if (data.home && aSession.zoneAction === 'BackHomeFromFriend') {
+            setTimeout(function () { aQueue.skip(); }, TIMEOUTS.QUEUE_SKIP_DELAY);
+            aSession.zoneAction = null;
+        } else if (!data.home && aSession.zoneAction === 'ApplyBuffOnFriend') {
+            setTimeout(function () { aQueue.skip(); }, TIMEOUTS.QUEUE_SKIP_DELAY);
+            aSession.zoneAction = 'BackHomeFromFriend';
+        }
     }
 }
 // ==================== Resources ====================
@@ -4650,7 +8518,7 @@ const aSpecialists = {
                 return [4, 5].indexOf(task.subTaskID) === -1;
             });
 
-            aDebug.log('explorer', 'Sending', explorers.length, 'explorers', template ? 'using template' : 'using default tasks', activeEvent ? 'with active event: ' + activeEvent : '');
+            aDebug.log('explorers', 'Sending', explorers.length, 'explorers', template ? 'using template' : 'using default tasks', activeEvent ? 'with active event: ' + activeEvent : '');
 
             var sub = 0;
             explorers.forEach(function (expl, index) {
@@ -4679,7 +8547,7 @@ const aSpecialists = {
                     if (aSettings.defaults.Explorers.eventOptimize && activeEvent) {
                         try {
                             if (!aEvents.treasureItems || !aEvents.treasureItems[activeEvent]) {
-                                aDebug.log('explorer', 'Event optimize enabled but no treasure items for event:', activeEvent);
+                                aDebug.log('explorers', 'Event optimize enabled but no treasure items for event:', activeEvent);
                             } else {
                                 var skills = expl.getSkillTree().getItems_vector().concat(expl.skills.getItems_vector());
                                 var taskValue = 0;
@@ -4712,10 +8580,10 @@ const aSpecialists = {
                                     }
                                 });
 
-                                aDebug.log('explorer', 'Event optimized task for', expl.GetSpecialistDescription().getName_string(), '- selected task', bestTask, 'with value', taskValue.toFixed(3));
+                                aDebug.log('explorers', 'Event optimized task for', expl.GetSpecialistDescription().getName_string(), '- selected task', bestTask, 'with value', taskValue.toFixed(3));
                             }
                         } catch (optError) {
-                            aDebug.log('explorer', 'Error during event optimization:', optError.message);
+                            aDebug.log('explorers', 'Error during event optimization:', optError.message);
                         }
                     }
                     if (!finalTask) {
@@ -4734,14 +8602,14 @@ const aSpecialists = {
     },
 
     sendGeologists: function (geos, count, type, depo) {
-        aDebug.log('geologist', 'Request to send', count, 'geologists for', depo, 'allowed types:', geos);
+        aDebug.log('geologists', 'Request to send', count, 'geologists for', depo, 'allowed types:', geos);
         var availableGeos = aSpecialists.getSpecialists(SPECIALIST_TYPE.GEOLOGIST, true);
         if (!geos || !geos.length || !count) {
-            aDebug.log('geologist', 'No geologists configured or count is zero for', depo);
+            aDebug.log('geologists', 'No geologists configured or count is zero for', depo);
             return;
         }
         if (!availableGeos.length) {
-            aDebug.log('geologist', 'No idle geologists available to send for', depo);
+            aDebug.log('geologists', 'No idle geologists available to send for', depo);
             return;
         }
         var sent = 0;
@@ -4756,16 +8624,16 @@ const aSpecialists = {
                 }
             }
             if (!allowed) {
-                aDebug.log('geologist', 'Skipping geologist', geo.GetType(), 'not in allowed list for', depo);
+                aDebug.log('geologists', 'Skipping geologist', geo.GetType(), 'not in allowed list for', depo);
                 continue;
             }
             sent++;
-            aDebug.log('geologist', 'Sending geologist', geo.GetUniqueID().toKeyString(), '(', sent, '/', count, ') for', depo);
+            aDebug.log('geologists', 'Sending geologist', geo.GetUniqueID().toKeyString(), '(', sent, '/', count, ') for', depo);
             aQueue.add('sendGeologist', [geo.GetUniqueID().toKeyString(), type, depo, sent, count]);
             if (sent >= count) { break; }
         }
         if (sent === 0) {
-            aDebug.log('geologist', 'No matching geologists were sent for', depo);
+            aDebug.log('geologists', 'No matching geologists were sent for', depo);
         }
     }
 }
@@ -4879,6 +8747,7 @@ const aBuildings = {
                 aBuildings.deposits.removeDepleted();
 
                 var buildingSlots = game.gi.mCurrentPlayer.mBuildQueue.GetTotalAvailableSlots() - game.gi.mCurrentPlayer.mBuildQueue.GetQueue_vector().length;
+                aDebug.log('deposits', 'Free build slots:', buildingSlots);
                 var buildingLisences = game.gi.mCurrentPlayer.GetMaxBuildingCount() - game.gi.mCurrentPlayer.mCurrentBuildingsCountAll;
 
                 const geologists = aSpecialists.getSpecialists(SPECIALIST_TYPE.GEOLOGIST);
@@ -5070,6 +8939,7 @@ const aBuildings = {
     manage: function () {
         if (!game.gi.isOnHomzone() || !aSession.isOn.Buildings) return;
         try {
+            aDebug.log('buildings', 'Checking', Object.keys(aSettings.defaults.Buildings.TProduction).length, 'production buildings');
             $.each(aSettings.defaults.Buildings.TProduction, function (name, settings) {
                 var buildings = game.zone.mStreetDataMap.getBuildingsByName_vector(name);
                 if (!buildings) return;
@@ -5130,8 +9000,8 @@ const aMail = {
         try {
             var v = game.def("Communication.VO::dIntegerVO", !0);
             v.value = LIMITS.TRADE_OUTBOX_VALUE;
-            game.gi.mClientMessages.SendMessagetoServer(1175, game.gi.mCurrentViewedZoneID, v, responder || null);
-            game.gi.mClientMessages.SendMessagetoServer(1184, 0, null);
+            aNet.sendMessage(1175, game.gi.mCurrentViewedZoneID, v, responder || null);
+            aNet.sendMessage(1184, 0, null);
             return true;
         } catch (e) { return false; }
     },
@@ -5146,6 +9016,8 @@ const aMail = {
     handleHeaders: function (mails) {
         try {
             aUI.updateStatus('Checking Mails...', 'Mail');
+            aDebug.log('mail', 'Received', mails.length, 'mail headers');
+            aBus.emit(aBus.EVENTS.MAIL_RECEIVED, { mails: mails });
             $.each(mails, function (i, mail) {
                 if (!mail) return;
                 // this groups can be to star
@@ -5188,10 +9060,10 @@ const aMail = {
                 return aMail[handler[type][0]](null, aSession.mail[handler[type][1]][id]);
 
 
-            var res = game.createResponder(aMail[type === 1 ? 'handleTradeMail' : 'handleInviteMail']);
+            var res = aQueue.responder(aMail[type === 1 ? 'handleTradeMail' : 'handleInviteMail']);
             var v = game.def("Communication.VO::dIntegerVO", 1);
             v.value = parseInt(id);
-            game.gi.mClientMessages.SendMessagetoServer(1177, game.mCurrentViewedZoneID, v, res);
+            aNet.sendMessage(1177, game.mCurrentViewedZoneID, v, res);
             return true;
         } catch (e) { console.error(e) }
     },
@@ -5274,7 +9146,7 @@ const aMail = {
             v.value = parseInt(data.id);
             aUI.updateStatus("Accepting \"{0}\" invitation from {1}".format(loca.GetText('ADN', advName), data.senderName), 'Mail');
             delete aSession.mail.pendingInvites[data.id];
-            game.gi.mClientMessages.SendMessagetoServer(93, data.attachments.zoneID, v);
+            aNet.sendMessage(93, data.attachments.zoneID, v);
         } catch (e) { console.error('Error accepting adventure invite'); }
     },
     acceptLootMails: function () {
@@ -5282,7 +9154,9 @@ const aMail = {
             var MailRequest = game.def("Communication.VO.Mail::dDismissMailsRequestVO", 1);
             MailRequest.mailsIDs_collection = aSession.mail.lootMails;
             MailRequest.claim = !aSettings.defaults.Mail.ToStar;
-            game.gi.mClientMessages.SendMessagetoServer(1201, game.gi.mCurrentViewedZoneID, MailRequest, game.createResponder(function () {
+            const count = aSession.mail.lootMails.length;
+            aNet.sendMessage(1201, game.gi.mCurrentViewedZoneID, MailRequest, aQueue.responder(function () {
+                aLedger.record('loot', { mails: count, toStar: !MailRequest.claim });
                 aSession.mail.lootMails.removeAll();
                 setTimeout(function () { aMail.getHeaders(); }, TIMEOUTS.MAIL_RETRY_DELAY);
             }));
@@ -5301,6 +9175,24 @@ const aMail = {
         aQueue.add('mail', ['hide']);
         aQueue.add('mail', ['getHeaders']);
         aQueue.add('mail', ['handleHeaders'], 7000);
+    },
+
+    /**
+     * Subscribes to aBus events
+     * @returns {void}
+     */
+    subscribe: function () {
+        aBus.on(aBus.EVENTS.FEATURE_TOGGLED, aMail.onFeatureToggled);
+    },
+
+    /**
+     * Checks the inbox on the next cycle when Auto Mail is switched on
+     * @param {Object} data - {feature, on}
+     * @returns {void}
+     */
+    onFeatureToggled: function (data) {
+        if (data.feature === 'Mail' && data.on)
+            aSession.mail.monitor = new Date().getTime();
     }
 }
 
@@ -5405,8 +9297,9 @@ const aTrade = {
             tradeVO.slotType = data.friendID ? 4 : data.slotType;
             tradeVO.slotPos = data.friendID ? 0 : data.slotPos;
             tradeVO.receipientId = data.friendID || 0;
-            game.gi.mClientMessages.SendMessagetoServer(1049, game.gi.mCurrentViewedZoneID, tradeVO, game.createResponder(callback))
-            aUI.Alert("Trade sent!", "Trade");
+            const result = aNet.sendMessage(1049, game.gi.mCurrentViewedZoneID, tradeVO, aQueue.responder(callback));
+            if (result)
+                aUI.Alert(result === aNet.QUEUED ? "Trade queued!" : "Trade sent!", "Trade");
         } catch (e) { console.error(e) }
     },
 
@@ -5415,15 +9308,19 @@ const aTrade = {
      * @param {number} id - Mail/trade ID
      * @param {number} type - Trade type (1=incoming trade, other=outgoing trade)
      * @param {boolean} [accept=true] - True to accept, false to reject (type 1 only)
-     * @param {Object} [responder] - Optional server responder
+     * @param {Function} [callback] - Called with (event, data) when the server confirms
      * @returns {boolean} True on success, false on error
      */
-    complete: function (id, type, accept, responder) {
+    complete: function (id, type, accept, callback) {
         try {
             var code = type === 1 ? (accept ? 1050 : 1053) : 1054;
+            aDebug.log('trade', type === 1 ? (accept ? 'Accepting' : 'Declining') : 'Collecting', 'trade', id);
             var v = game.def("Communication.VO::dIntegerVO", !0);
             v.value = parseInt(id);
-            game.gi.mClientMessages.SendMessagetoServer(code, game.gi.mCurrentPlayer.GetPlayerId(), v, responder || null);
+            aNet.sendMessage(code, game.gi.mCurrentPlayer.GetPlayerId(), v, aQueue.responder(function (e, d) {
+                aBus.emit(aBus.EVENTS.TRADE_COMPLETED, { id: id, type: type, accept: accept, data: d });
+                if (callback) callback(e, d);
+            }));
             aUI.updateStatus('Trade ' + (type === 1 ? (accept ? 'Accepted' : 'Rejected') : 'Resources Collected'), "Mail");
             return true;
         } catch (e) { return false; }
@@ -5712,8 +9609,10 @@ const aQuests = {
         },
         tasks: function (tasks) {
             $.each(tasks, function (i, Task) {
-                if (Task.getState() === 1)
-                    return game.gi.mClientMessages.SendMessagetoServer(161, game.gi.mCurrentViewedZoneID, Task.getId());
+                if (Task.getState() === 1) {
+                    aNet.sendMessage(161, game.gi.mCurrentViewedZoneID, Task.getId());
+                    return;
+                }
                 var PayToFinish = true;
                 $.each(Task.getTriggers(), function (t, trigger) {
                     var def = trigger.getDefinition();
@@ -5728,7 +9627,7 @@ const aQuests = {
                     }
                 });
                 if (PayToFinish)
-                    game.gi.mClientMessages.SendMessagetoServer(162, game.gi.mCurrentViewedZoneID, Task.getId());
+                    aNet.sendMessage(162, game.gi.mCurrentViewedZoneID, Task.getId());
             });
         }
     },
@@ -5807,6 +9706,31 @@ const aQuests = {
         } else {
             return this.PathFinder.isTriggerFinished(quest, idx);
         }
+    },
+
+    /**
+     * Subscribes to aBus events
+     * @returns {void}
+     */
+    subscribe: function () {
+        aBus.on(aBus.EVENTS.STEP_ADVANCED, aQuests.onStepAdvanced);
+    },
+
+    /**
+     * Opens the adventure quests waiting in the quest book once the adventure island is reached
+     * @param {Object} data - {step, index}
+     * @returns {void}
+     */
+    onStepAdvanced: function (data) {
+        if (!data.step || data.step.name !== 'VisitAdventure') return;
+        const waitingQuests = game.quests.GetQuestPool().GetQuest_vector().toArray().filter(function (quest) {
+            return quest && quest.mQuestMode === 2;
+        });
+        waitingQuests.forEach(function (quest) {
+            globalFlash.gui.mQuestBook.SetPreselectedQuest(quest);
+            globalFlash.gui.mQuestBook.Show();
+            globalFlash.gui.mQuestBook.Hide();
+        });
     }
 }
 
@@ -6350,13 +10274,9 @@ const aAdventure = {
                     if (!spec.GetGarrisonGridIdx()) return;
                     auto.cycle.Queue.add(function () {
                         try {
-                            game.gi.mCurrentCursor.mCurrentSpecialist = spec;
-                            var sTask = new armySpecTaskDef();
-                            sTask.uniqueID = spec.GetUniqueID();
-                            sTask.subTaskID = 0;
-                            game.gi.SendServerAction(95, 12, game.gi.mCurrentCursor.GetGridPosition(), 0, sTask);
-                            spec.SetTask(new armySpecTravelDef(game.gi, spec, 0, 12));
-                            aUI.updateStatus("Sending generals to Star ({0}/{1})!!".format(auto.cycle.Queue.index, auto.cycle.Queue.len() - 1));
+                            const result = aAdventure.action.sendToStar(spec);
+                            if (!result) return;
+                            aUI.updateStatus("{2} generals to Star ({0}/{1})!!".format(auto.cycle.Queue.index, auto.cycle.Queue.len() - 1, result === aNet.QUEUED ? 'Queued sending' : 'Sending'));
                         } catch (e) { }
                     });
                 });
@@ -6432,6 +10352,21 @@ const aAdventure = {
                 });
             } catch (er) { console.error(er) }
         },
+        /**
+         * Sends a general back to the star, its travel task is only set if the send was not suppressed
+         * @param {Object} spec - General
+         * @returns {string|boolean} Result of aNet.sendServerAction
+         */
+        sendToStar: function (spec) {
+            game.gi.mCurrentCursor.mCurrentSpecialist = spec;
+            var sTask = new armySpecTaskDef();
+            sTask.uniqueID = spec.GetUniqueID();
+            sTask.subTaskID = 0;
+            const sent = aNet.sendServerAction(95, 12, game.gi.mCurrentCursor.GetGridPosition(), 0, sTask);
+            if (sent)
+                spec.SetTask(new armySpecTravelDef(game.gi, spec, 0, 12));
+            return sent;
+        },
         sendGeneralAction: function (id, type, order) {
             try {
                 const general = battlePacket[id];
@@ -6441,7 +10376,7 @@ const aAdventure = {
                 var stask = new armySpecTaskDef();
                 stask.uniqueID = general.spec.GetUniqueID();
                 stask.subTaskID = 0;
-                game.gi.SendServerAction(95, type, target, 0, stask);
+                aNet.sendServerAction(95, type, target, 0, stask);
                 game.chatMessage("{0} {1} {2} {3}".format(order, general.name.replace(/(<([^>]+)>)/gi, ""), (type === 5 ? ' x ' : ' > '), targetName), 'battle');
             } catch (er) { }
         },
@@ -6633,7 +10568,7 @@ const aAdventure = {
             if (!aSession.adventure.steps) {
                 aUI.Alert("Please reselect the adventure!", 'ARMY');
             } else if (aSession.adventure.repeatCount === 0) {
-                aSession.isOn.Adventure = false;
+                aSession.setFeature('Adventure', false);
                 aSettings.save();
                 aUI.Alert('Auto Adventure Completed!', 'ARMY');
                 aUI.modals.adventure.AM_LoadInfo();
@@ -6661,7 +10596,7 @@ const aAdventure = {
                     if (aAdventure.auto.execStep[step.name])
                         return aAdventure.auto.execStep[step.name]();
                     else
-                        return aAdventure.auto.result("Something is wrong, retrying!");
+                        return aAdventure.auto.result('Unknown step "{0}", check the template!'.format(step ? step.name : step));
                 } catch (e) {
                     return console.error(e), aAdventure.auto.result("Error: " + e.message);
                 }
@@ -7386,6 +11321,82 @@ const aAdventure = {
             });
         }
     },
+
+    /**
+     * Subscribes to aBus events
+     * @returns {void}
+     */
+    subscribe: function () {
+        aBus.on(aBus.EVENTS.ZONE_LOADED, aAdventure.onZoneLoaded);
+        aBus.on(aBus.EVENTS.BATTLE_FINISHED, aAdventure.onBattleFinished);
+    },
+
+    /**
+     * Finishes the adventure when home is reached and advances travel steps on arrival
+     * @param {Object} data - {zoneId, home}
+     * @returns {void}
+     */
+    onZoneLoaded: function (data) {
+        if (data.home && aSession.adventure.action === "FinishAdventure") {
+            console.info('Finishing adventure');
+            aBus.emit(aBus.EVENTS.ADVENTURE_FINISHED, {
+                name: aSession.adventure.name,
+                template: aSession.adventure.id || null,
+                losses: aSession.adventure.getLostUnits(),
+                duration: aSession.adventure.startTime ? aSession.adventure.lastTime - aSession.adventure.startTime : null
+            });
+            if (aSettings.defaults.Adventures.reTrain)
+                aAdventure.action.trainLostUnits();
+
+            aSession.adventure.repeatCount--;
+            aSession.adventure.reset();
+            aUI.modals.adventure.AM_LoadInfo()
+            setTimeout(function () {
+                aSession.setFeature('Adventure', true);
+                aUI.menu.init();
+            }, TIMEOUTS.ADVENTURE_START_DELAY);
+        }
+
+        var step = aSession.adventure.currentStep();
+        if (step && ((step.name === 'VisitAdventure' && aAdventure.info.isOnAdventure()) ||
+            (step.name === 'ReturnHome' && data.home))) {
+            aUI.Alert("{0} Island Loaded!".format(step.name === 'VisitAdventure' ? 'Adventure' : 'Home'), 'QUEST');
+            aSession.adventure.action = '';
+
+            // Auto-inject WaitForDeparture step after VisitAdventure if missing
+            if (step.name === 'VisitAdventure') {
+                var nextStepIndex = aSession.adventure.index + 1;
+                var nextStep = aSession.adventure.steps[nextStepIndex];
+
+                // If next step is not WaitForDeparture, inject it
+                if (!nextStep || nextStep.name !== 'WaitForDeparture') {
+                    aSession.adventure.steps.splice(nextStepIndex, 0, {
+                        name: 'WaitForDeparture',
+                        data: null
+                    });
+                    console.info('Auto-injected WaitForDeparture step after VisitAdventure');
+                }
+            }
+
+            aSession.adventure.nextStep();
+        }
+    },
+
+    /**
+     * Updates the adventure info after a battle
+     * @param {Object} data - {casualties}
+     * @returns {void}
+     */
+    onBattleFinished: function (data) {
+        if (!aAdventure.info.isOnAdventure()) return;
+        aUI.modals.adventure.AM_UpdateInfo(data.casualties);
+        const enemies = aSession.adventure.getEnemies();
+        aUI.Alert("Target Enemy Camps Eliminated ({0}/{1})!!".format(
+            enemies.all - enemies.remaining,
+            enemies.all),
+            "ARMY"
+        );
+    }
 }
 
 const auto = {
@@ -7441,6 +11452,7 @@ const auto = {
             });
         },
         checkForUpdate: function (fromUser, remoteVersion) {
+            aDebug.log('update', 'Local version', auto.version, 'remote', remoteVersion, 'available:', auto.update.available);
             if (fromUser) { aUI.Alert("Checking for update!", 'TransporterAdmiral'); }
             if (!auto.update.releaseData) {
                 if (fromUser) { return aUI.Alert("Update check failed!", 'ERROR'); }
@@ -7507,6 +11519,8 @@ const auto = {
                             aUI.menu.Progress = 90;
                             setTimeout(function () {
                                 aUI.Alert("Updated Successfully ^_^", 'TransporterAdmiral');
+                                aSnapshot.save('update');
+                                aLedger.flush();
                                 // Reset logger initialization flag to ensure proper re-initialization
                                 if (typeof console !== 'undefined' && console._loggerInitialized) {
                                     delete console._loggerInitialized;
@@ -7680,25 +11694,28 @@ const auto = {
             game.gi.channels.SPECIALIST.addPropertyObserver(
                 "generalbattlefought", game.getTracker('battleFinished', aUtils.trackers.battleFinished)
             );
+            aBuffs.subscribe();
+            aAdventure.subscribe();
+            aQuests.subscribe();
+            aMail.subscribe();
+            aLedger.subscribe();
+            aExtensions.init();
             //game.gi.channels.ZONE.addPropertyObserver(
             //    "CHAT_MESSAGE", game.getTracker('chatObserver', aUtils.trackers.chatObserver)
             //)
-            aSession.isOn.Explorers = aSettings.defaults.Explorers.autoStart;
-            aSession.isOn.Deposits = aSettings.defaults.Deposits.autoStart;
-            aSession.isOn.Buildings = aSettings.defaults.Buildings.autoStart;
-            aSession.isOn.Quests = aSettings.defaults.Quests.Config.AutoStart;
-            aSession.isOn.CollectPickups = aSettings.defaults.Collect.Pickups;
-            aSession.isOn.Mail = aSettings.defaults.Mail.AutoStart || (aSettings.defaults.Mail.AutoStartEvents && aEvents.getActiveEvent('Content'));
-            aSession.isOn.FromStarToStore = aSettings.defaults.TransferToStore.autoStart;
-            aSession.isOn.OpenMysteryBoxs = aSettings.defaults.Lootables.autoStart;
+            $.extend(aSession.isOn, aUtils.game.autoStartFeatures());
             if (rawArgs.hasOwnProperty('autorun')) {
                 $.extend(aSession.isOn, JSON.parse(rawArgs.autorun));
                 delete rawArgs.autorun;
             }
+            aSnapshot.restore();
             aUtils.game.applyTweaks();
             aUI.menu.init();
+            const invalid = aSettings.issues.filter(function (issue) { return issue.kind === 'invalid'; }).length;
+            if (invalid)
+                aUI.Alert('{0} invalid settings found, see Automation > Settings Check'.format(invalid), 'ERROR');
             aQueue.run();
-            //aQueue.watcher();
+            aQueue.watcher();
             // aSession.tickMonitor = setInterval(function () {
             //     if (game.gi.mGameTickCommand_vector.length > 1) {
             //         $.each(game.gi.mGameTickCommand_vector, function (i, tick) {